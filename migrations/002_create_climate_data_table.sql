@@ -8,6 +8,13 @@
 SET search_path TO public;
 
 -- Drop table if exists (for development only)
+-- After migration 007, climate_data is a view over climate_values
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_views WHERE schemaname = 'public' AND viewname = 'climate_data') THEN
+        DROP VIEW public.climate_data;
+    END IF;
+END $$;
 DROP TABLE IF EXISTS public.climate_data CASCADE;
 
 -- Create climate_data table
@@ -0,0 +1,81 @@
+-- ============================================================================
+-- Migration: 005_create_simplified_geometries_table.sql
+-- Description: Create side table of precomputed simplified municipality geometries
+-- Created: 2025-11-03
+-- ============================================================================
+
+-- Ensure we're working in the public schema
+SET search_path TO public;
+
+-- Drop table if exists (for development only)
+DROP TABLE IF EXISTS public.municipality_geometries_simplified CASCADE;
+
+-- Create simplified geometries table
+-- Filled by the municipalities ETL using ST_CoverageSimplify (PostGIS 3.6+),
+-- which simplifies each shared border once so neighbours stay gap-free
+CREATE TABLE public.municipality_geometries_simplified (
+    -- Foreign key to municipalities
+    municipality_id INTEGER NOT NULL,
+
+    -- Simplification level: low, medium, high (see src/config/geometry.js)
+    level VARCHAR(10) NOT NULL,
+
+    -- Simplification tolerance in degrees (EPSG:4326)
+    tolerance DOUBLE PRECISION NOT NULL,
+
+    -- Simplified geometry (WGS84 - EPSG:4326)
+    geom GEOMETRY(MultiPolygon, 4326) NOT NULL,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- ========================================================================
+    -- CONSTRAINTS
+    -- ========================================================================
+
+    -- One simplified geometry per municipality and level
+    CONSTRAINT pk_municipality_geometries_simplified
+        PRIMARY KEY (municipality_id, level),
+
+    -- Foreign key to municipalities table
+    CONSTRAINT fk_simplified_municipality
+        FOREIGN KEY (municipality_id)
+        REFERENCES public.municipalities(id)
+        ON DELETE CASCADE,
+
+    -- Check constraint for valid levels
+    CONSTRAINT chk_simplification_level
+        CHECK (level IN ('low', 'medium', 'high'))
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+-- Index on level for fetching a full layer at one level
+CREATE INDEX idx_municipality_geometries_simplified_level
+    ON public.municipality_geometries_simplified(level);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE public.municipality_geometries_simplified IS 'Precomputed topology-preserving simplified municipality boundaries for low-zoom maps';
+COMMENT ON COLUMN public.municipality_geometries_simplified.level IS 'Simplification level: low (~1 km), medium (~250 m), high (~50 m)';
+COMMENT ON COLUMN public.municipality_geometries_simplified.tolerance IS 'ST_CoverageSimplify tolerance in degrees';
+
+-- ============================================================================
+-- VERIFICATION QUERIES (for testing after data load)
+-- ============================================================================
+
+-- Compare vertex counts per level
+-- SELECT level, SUM(ST_NPoints(geom)) as vertices
+-- FROM public.municipality_geometries_simplified
+-- GROUP BY level
+-- UNION ALL
+-- SELECT 'full', SUM(ST_NPoints(geom)) FROM public.municipalities;
+
+-- Check the simplified coverage has no gaps or overlaps (invalid_edges should all be NULL)
+-- SELECT ST_CoverageInvalidEdges(geom) OVER () as invalid_edges
+-- FROM public.municipality_geometries_simplified
+-- WHERE level = 'low';
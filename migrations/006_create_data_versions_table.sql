@@ -0,0 +1,73 @@
+-- ============================================================================
+-- Migration: 006_create_data_versions_table.sql
+-- Description: Track data versions bumped by ETL runs (drives API cache ETags and invalidation)
+-- Created: 2025-11-05
+-- ============================================================================
+
+-- Ensure we're working in the public schema
+SET search_path TO public;
+
+-- Global, strictly increasing version number shared by all datasets, so the
+-- highest version identifies the current state of the whole database
+CREATE SEQUENCE IF NOT EXISTS public.data_version_seq;
+
+-- One row per dataset loaded by an ETL script
+-- (IF NOT EXISTS: re-running migrations must not reset versions)
+CREATE TABLE IF NOT EXISTS public.data_versions (
+    -- Dataset name: municipalities, climate_data, climate_indices
+    dataset VARCHAR(50) PRIMARY KEY,
+
+    -- Version from data_version_seq, bumped after each successful load
+    version BIGINT NOT NULL DEFAULT nextval('public.data_version_seq'),
+
+    -- Audit fields
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seed the known datasets
+INSERT INTO public.data_versions (dataset)
+VALUES ('municipalities'), ('climate_data'), ('climate_indices')
+ON CONFLICT (dataset) DO NOTHING;
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Bump a dataset's version and notify listening API servers
+-- NOTIFY is delivered when the calling transaction commits
+CREATE OR REPLACE FUNCTION public.bump_data_version(p_dataset VARCHAR)
+RETURNS BIGINT AS $$
+DECLARE
+    new_version BIGINT := nextval('public.data_version_seq');
+BEGIN
+    INSERT INTO public.data_versions (dataset, version, updated_at)
+    VALUES (p_dataset, new_version, CURRENT_TIMESTAMP)
+    ON CONFLICT (dataset) DO UPDATE
+        SET version = EXCLUDED.version,
+            updated_at = EXCLUDED.updated_at;
+
+    PERFORM pg_notify(
+        'data_version_changed',
+        json_build_object('dataset', p_dataset, 'version', new_version)::text
+    );
+
+    RETURN new_version;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE public.data_versions IS 'Data version per dataset, bumped by ETL scripts after a successful load';
+COMMENT ON FUNCTION public.bump_data_version(VARCHAR) IS 'Bump a dataset version and NOTIFY data_version_changed';
+
+-- ============================================================================
+-- VERIFICATION QUERIES (for testing after data load)
+-- ============================================================================
+
+-- Current versions
+-- SELECT dataset, version, updated_at FROM public.data_versions ORDER BY dataset;
+
+-- Bump manually (e.g. after a hand-edited fix) to refresh API caches
+-- SELECT public.bump_data_version('climate_data');
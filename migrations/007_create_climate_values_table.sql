@@ -0,0 +1,265 @@
+-- ============================================================================
+-- Migration: 007_create_climate_values_table.sql
+-- Description: Long-format climate values (one row per index value), backfilled
+--              from the wide climate_data table, which becomes a compatibility view
+-- Created: 2025-11-06
+-- ============================================================================
+
+-- Ensure we're working in the public schema
+SET search_path TO public;
+
+-- Drop tables if exist (for development only)
+-- CASCADE also drops the climate_data compatibility view
+DROP TABLE IF EXISTS public.climate_values CASCADE;
+DROP TABLE IF EXISTS public.climate_periods CASCADE;
+
+-- ============================================================================
+-- CLIMATE PERIODS
+-- ============================================================================
+
+-- Period bounds (previously set per row by the set_period_bounds() trigger)
+CREATE TABLE public.climate_periods (
+    period VARCHAR(30) PRIMARY KEY,
+    period_start INTEGER NOT NULL,
+    period_end INTEGER NOT NULL
+);
+
+INSERT INTO public.climate_periods (period, period_start, period_end)
+VALUES
+    ('near-term_2021-2040', 2021, 2040),
+    ('mid-term_2041-2060', 2041, 2060),
+    ('far-term_2081-2100', 2081, 2100);
+
+-- ============================================================================
+-- CLIMATE VALUES
+-- ============================================================================
+
+-- One row per municipality, scenario, period, index and statistic
+-- New indices only need a climate_indices row - no ALTER TABLE
+CREATE TABLE public.climate_values (
+    -- Foreign key to municipalities
+    municipality_id INTEGER NOT NULL,
+
+    -- Scenario and period identifiers
+    scenario VARCHAR(10) NOT NULL,
+    period VARCHAR(30) NOT NULL,
+
+    -- Climate index code (matches climate_indices.index_code)
+    index_code VARCHAR(20) NOT NULL,
+
+    -- Ensemble statistic the value describes
+    statistic VARCHAR(20) NOT NULL DEFAULT 'mean',
+
+    -- Anomaly from the 1995-2014 baseline (NULL when the source had no value)
+    value DECIMAL(10, 4),
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- ========================================================================
+    -- CONSTRAINTS
+    -- ========================================================================
+
+    CONSTRAINT pk_climate_values
+        PRIMARY KEY (municipality_id, scenario, period, index_code, statistic),
+
+    -- Foreign key to municipalities table
+    CONSTRAINT fk_climate_values_municipality
+        FOREIGN KEY (municipality_id)
+        REFERENCES public.municipalities(id)
+        ON DELETE CASCADE,
+
+    -- Foreign key to climate periods
+    CONSTRAINT fk_climate_values_period
+        FOREIGN KEY (period)
+        REFERENCES public.climate_periods(period),
+
+    -- Check constraints for valid scenarios
+    CONSTRAINT chk_climate_values_scenario
+        CHECK (scenario IN ('ssp126', 'ssp245', 'ssp370', 'ssp585')),
+
+    -- Index codes double as column names in the compatibility view
+    CONSTRAINT chk_climate_values_index_code
+        CHECK (index_code ~ '^[a-z][a-z0-9_]*$'),
+
+    -- Check constraints for valid statistics
+    CONSTRAINT chk_climate_values_statistic
+        CHECK (statistic IN ('mean'))
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+-- Choropleth lookups: one index for every municipality in a scenario/period
+CREATE INDEX idx_climate_values_index_lookup
+    ON public.climate_values(index_code, scenario, period, statistic);
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER trigger_update_climate_values_timestamp
+    BEFORE UPDATE ON public.climate_values
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- COMPATIBILITY VIEW
+-- ============================================================================
+
+-- (Re)create public.climate_data as a wide view over climate_values, with one
+-- column per index, so existing queries (cd.*, cd.txge30...) keep working
+--
+-- Columns are the union of the view's current index columns, registered
+-- climate_indices, index codes present in climate_values and p_codes, so
+-- index columns are never dropped. Called by the indices ETL after loading
+-- climate_indices; p_codes lets this migration carry over the wide table's columns.
+CREATE OR REPLACE FUNCTION public.refresh_climate_data_view(p_codes TEXT[] DEFAULT '{}')
+RETURNS INTEGER AS $$
+DECLARE
+    codes TEXT[];
+    index_columns TEXT;
+BEGIN
+    SELECT array_agg(code ORDER BY first_seen, position, code)
+    INTO codes
+    FROM (
+        SELECT code, MIN(first_seen) as first_seen, MIN(position) as position
+        FROM (
+            SELECT column_name::TEXT as code, 1 as first_seen, ordinal_position::INTEGER as position
+            FROM information_schema.columns
+            WHERE table_schema = 'public'
+              AND table_name = 'climate_data'
+              AND column_name NOT IN (
+                  'id', 'municipality_id', 'scenario', 'period',
+                  'period_start', 'period_end', 'created_at', 'updated_at'
+              )
+            UNION ALL
+            SELECT code, 2, position::INTEGER
+            FROM unnest(p_codes) WITH ORDINALITY as p(code, position)
+            UNION ALL
+            SELECT index_code, 3, display_order
+            FROM public.climate_indices
+            UNION ALL
+            SELECT DISTINCT index_code, 4, NULL
+            FROM public.climate_values
+        ) candidates
+        WHERE code ~ '^[a-z][a-z0-9_]*$'
+        GROUP BY code
+    ) ordered;
+
+    SELECT string_agg(
+        format(
+            'MAX(cv.value) FILTER (WHERE cv.index_code = %L AND cv.statistic = ''mean'')::DECIMAL(10, 4) as %I',
+            code, code
+        ),
+        E',\n        '
+        ORDER BY position
+    )
+    INTO index_columns
+    FROM unnest(codes) WITH ORDINALITY as c(code, position);
+
+    DROP VIEW IF EXISTS public.climate_data;
+
+    -- id is a stable surrogate derived from the key (municipality, scenario, period)
+    EXECUTE format($view$
+        CREATE VIEW public.climate_data AS
+        SELECT
+            cv.municipality_id * 100
+                + array_position(ARRAY['ssp126', 'ssp245', 'ssp370', 'ssp585']::VARCHAR[], cv.scenario) * 10
+                + array_position(ARRAY['near-term_2021-2040', 'mid-term_2041-2060', 'far-term_2081-2100']::VARCHAR[], cv.period)
+                as id,
+            cv.municipality_id,
+            cv.scenario,
+            cv.period,
+            cp.period_start,
+            cp.period_end,
+            %s
+            MIN(cv.created_at) as created_at,
+            MAX(cv.updated_at) as updated_at
+        FROM public.climate_values cv
+        JOIN public.climate_periods cp ON cp.period = cv.period
+        GROUP BY cv.municipality_id, cv.scenario, cv.period, cp.period_start, cp.period_end
+    $view$, COALESCE(index_columns || ',', ''));
+
+    COMMENT ON VIEW public.climate_data IS 'Compatibility view: one column per index pivoted from climate_values (mean statistic) - all values are CHANGES from 1995-2014 baseline';
+
+    RETURN COALESCE(array_length(codes, 1), 0);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- BACKFILL
+-- ============================================================================
+
+-- Move the wide table's values into climate_values, then replace the table
+-- with the compatibility view. Index columns are discovered from the table,
+-- so columns added after migration 002 are carried over too.
+DO $$
+DECLARE
+    wide_codes TEXT[];
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM pg_tables
+        WHERE schemaname = 'public' AND tablename = 'climate_data'
+    ) THEN
+        SELECT array_agg(column_name::TEXT ORDER BY ordinal_position)
+        INTO wide_codes
+        FROM information_schema.columns
+        WHERE table_schema = 'public'
+          AND table_name = 'climate_data'
+          AND column_name NOT IN (
+              'id', 'municipality_id', 'scenario', 'period',
+              'period_start', 'period_end', 'created_at', 'updated_at'
+          );
+
+        INSERT INTO public.climate_values (
+            municipality_id, scenario, period, index_code, statistic, value, created_at, updated_at
+        )
+        SELECT
+            cd.municipality_id,
+            cd.scenario,
+            cd.period,
+            wide.key,
+            'mean',
+            (wide.value #>> '{}')::DECIMAL(10, 4),
+            cd.created_at,
+            cd.updated_at
+        FROM public.climate_data cd
+        CROSS JOIN LATERAL jsonb_each(to_jsonb(cd)) as wide
+        WHERE wide.key = ANY(wide_codes);
+
+        DROP TABLE public.climate_data CASCADE;
+    END IF;
+
+    PERFORM public.refresh_climate_data_view(COALESCE(wide_codes, '{}'));
+END $$;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE public.climate_periods IS 'Projection periods and their year bounds';
+COMMENT ON TABLE public.climate_values IS 'Long-format climate anomaly values - one row per municipality, scenario, period, index and statistic';
+COMMENT ON COLUMN public.climate_values.index_code IS 'Climate index code (climate_indices.index_code)';
+COMMENT ON COLUMN public.climate_values.statistic IS 'Ensemble statistic: mean';
+COMMENT ON COLUMN public.climate_values.value IS 'Anomaly from 1995-2014 baseline, in the index unit';
+COMMENT ON FUNCTION public.refresh_climate_data_view(TEXT[]) IS 'Rebuild the climate_data compatibility view with a column per known index';
+
+-- ============================================================================
+-- VERIFICATION QUERIES (for testing after data load)
+-- ============================================================================
+
+-- Check total values (should be 2,544 × number of indices)
+-- SELECT COUNT(*) as total_values FROM public.climate_values;
+
+-- Values per index
+-- SELECT index_code, COUNT(*) as count, COUNT(value) as non_null
+-- FROM public.climate_values
+-- GROUP BY index_code
+-- ORDER BY index_code;
+
+-- Compatibility view still has one row per municipality/scenario/period
+-- SELECT COUNT(*) as total_records FROM public.climate_data;
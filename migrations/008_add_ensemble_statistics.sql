@@ -0,0 +1,213 @@
+-- ============================================================================
+-- Migration: 008_add_ensemble_statistics.sql
+-- Description: Ensemble spread (p10/p50/p90) in climate_values, model count and
+--              sign agreement per value, and a wide view per statistic
+-- Created: 2025-11-07
+-- ============================================================================
+
+-- Ensure we're working in the public schema
+SET search_path TO public;
+
+-- Drop table if exists (for development only)
+DROP TABLE IF EXISTS public.climate_agreement CASCADE;
+
+-- ============================================================================
+-- STATISTICS
+-- ============================================================================
+
+-- mean: ensemble mean (municipality_means_ALL_indices.csv)
+-- p10/p50/p90: 10th, 50th (median) and 90th percentile across models
+ALTER TABLE public.climate_values
+    DROP CONSTRAINT IF EXISTS chk_climate_values_statistic;
+
+ALTER TABLE public.climate_values
+    ADD CONSTRAINT chk_climate_values_statistic
+        CHECK (statistic IN ('mean', 'p10', 'p50', 'p90'));
+
+-- ============================================================================
+-- MODEL AGREEMENT
+-- ============================================================================
+
+-- How many models the ensemble statistics are based on, and how many of them
+-- agree on the direction of change - shared by every statistic of a value
+CREATE TABLE public.climate_agreement (
+    -- Foreign key to municipalities
+    municipality_id INTEGER NOT NULL,
+
+    -- Scenario and period identifiers
+    scenario VARCHAR(10) NOT NULL,
+    period VARCHAR(30) NOT NULL,
+
+    -- Climate index code (matches climate_indices.index_code)
+    index_code VARCHAR(20) NOT NULL,
+
+    -- Number of models with a value
+    model_count INTEGER NOT NULL,
+
+    -- Fraction of models (0-1) whose change has the same sign as the ensemble median
+    sign_agreement DECIMAL(5, 4) NOT NULL,
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- ========================================================================
+    -- CONSTRAINTS
+    -- ========================================================================
+
+    CONSTRAINT pk_climate_agreement
+        PRIMARY KEY (municipality_id, scenario, period, index_code),
+
+    -- Foreign key to municipalities table
+    CONSTRAINT fk_climate_agreement_municipality
+        FOREIGN KEY (municipality_id)
+        REFERENCES public.municipalities(id)
+        ON DELETE CASCADE,
+
+    -- Foreign key to climate periods
+    CONSTRAINT fk_climate_agreement_period
+        FOREIGN KEY (period)
+        REFERENCES public.climate_periods(period),
+
+    CONSTRAINT chk_climate_agreement_scenario
+        CHECK (scenario IN ('ssp126', 'ssp245', 'ssp370', 'ssp585')),
+
+    CONSTRAINT chk_climate_agreement_model_count
+        CHECK (model_count > 0),
+
+    CONSTRAINT chk_climate_agreement_sign_agreement
+        CHECK (sign_agreement BETWEEN 0 AND 1)
+);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER trigger_update_climate_agreement_timestamp
+    BEFORE UPDATE ON public.climate_agreement
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- WIDE VIEWS
+-- ============================================================================
+
+-- (Re)create the wide views over climate_values, with one column per index:
+-- - climate_data_statistics: one row per municipality/scenario/period/statistic
+-- - climate_data: the mean rows only (compatibility view, see migration 007)
+--
+-- Columns are the union of climate_data's current index columns, registered
+-- climate_indices, index codes present in climate_values and p_codes, so
+-- index columns are never dropped
+CREATE OR REPLACE FUNCTION public.refresh_climate_data_view(p_codes TEXT[] DEFAULT '{}')
+RETURNS INTEGER AS $$
+DECLARE
+    codes TEXT[];
+    index_columns TEXT;
+    index_names TEXT;
+BEGIN
+    SELECT array_agg(code ORDER BY first_seen, position, code)
+    INTO codes
+    FROM (
+        SELECT code, MIN(first_seen) as first_seen, MIN(position) as position
+        FROM (
+            SELECT column_name::TEXT as code, 1 as first_seen, ordinal_position::INTEGER as position
+            FROM information_schema.columns
+            WHERE table_schema = 'public'
+              AND table_name = 'climate_data'
+              AND column_name NOT IN (
+                  'id', 'municipality_id', 'scenario', 'period', 'statistic',
+                  'period_start', 'period_end', 'created_at', 'updated_at'
+              )
+            UNION ALL
+            SELECT code, 2, position::INTEGER
+            FROM unnest(p_codes) WITH ORDINALITY as p(code, position)
+            UNION ALL
+            SELECT index_code, 3, display_order
+            FROM public.climate_indices
+            UNION ALL
+            SELECT DISTINCT index_code, 4, NULL
+            FROM public.climate_values
+        ) candidates
+        WHERE code ~ '^[a-z][a-z0-9_]*$'
+        GROUP BY code
+    ) ordered;
+
+    SELECT
+        string_agg(
+            format('MAX(cv.value) FILTER (WHERE cv.index_code = %L)::DECIMAL(10, 4) as %I', code, code),
+            E',\n            '
+            ORDER BY position
+        ),
+        string_agg(format('cds.%I', code), ', ' ORDER BY position)
+    INTO index_columns, index_names
+    FROM unnest(codes) WITH ORDINALITY as c(code, position);
+
+    DROP VIEW IF EXISTS public.climate_data;
+    DROP VIEW IF EXISTS public.climate_data_statistics;
+
+    -- id is a stable surrogate derived from (municipality, scenario, period)
+    EXECUTE format($view$
+        CREATE VIEW public.climate_data_statistics AS
+        SELECT
+            cv.municipality_id * 100
+                + array_position(ARRAY['ssp126', 'ssp245', 'ssp370', 'ssp585']::VARCHAR[], cv.scenario) * 10
+                + array_position(ARRAY['near-term_2021-2040', 'mid-term_2041-2060', 'far-term_2081-2100']::VARCHAR[], cv.period)
+                as id,
+            cv.municipality_id,
+            cv.scenario,
+            cv.period,
+            cv.statistic,
+            cp.period_start,
+            cp.period_end,
+            %s
+            MIN(cv.created_at) as created_at,
+            MAX(cv.updated_at) as updated_at
+        FROM public.climate_values cv
+        JOIN public.climate_periods cp ON cp.period = cv.period
+        GROUP BY cv.municipality_id, cv.scenario, cv.period, cv.statistic, cp.period_start, cp.period_end
+    $view$, COALESCE(index_columns || ',', ''));
+
+    EXECUTE format($view$
+        CREATE VIEW public.climate_data AS
+        SELECT
+            cds.id,
+            cds.municipality_id,
+            cds.scenario,
+            cds.period,
+            cds.period_start,
+            cds.period_end,
+            %s
+            cds.created_at,
+            cds.updated_at
+        FROM public.climate_data_statistics cds
+        WHERE cds.statistic = 'mean'
+    $view$, COALESCE(index_names || ',', ''));
+
+    COMMENT ON VIEW public.climate_data_statistics IS 'One column per index pivoted from climate_values, one row per statistic (mean, p10, p50, p90)';
+    COMMENT ON VIEW public.climate_data IS 'Compatibility view: one column per index pivoted from climate_values (mean statistic) - all values are CHANGES from 1995-2014 baseline';
+
+    RETURN COALESCE(array_length(codes, 1), 0);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild the views with the statistics view underneath
+SELECT public.refresh_climate_data_view();
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE public.climate_agreement IS 'Ensemble size and sign agreement per municipality, scenario, period and index';
+COMMENT ON COLUMN public.climate_agreement.sign_agreement IS 'Fraction of models agreeing with the sign of the ensemble median change (0-1)';
+COMMENT ON COLUMN public.climate_values.statistic IS 'Ensemble statistic: mean, p10, p50 (median) or p90';
+
+-- ============================================================================
+-- VERIFICATION QUERIES (for testing after data load)
+-- ============================================================================
+
+-- Values per statistic
+-- SELECT statistic, COUNT(*) as count FROM public.climate_values GROUP BY statistic ORDER BY statistic;
+
+-- Share of values where at least 80% of models agree on the sign of change
+-- SELECT index_code, ROUND(AVG((sign_agreement >= 0.8)::int), 2) as robust_share
+-- FROM public.climate_agreement
+-- GROUP BY index_code
+-- ORDER BY index_code;
@@ -0,0 +1,103 @@
+-- ============================================================================
+-- Migration: 009_create_climate_baselines_table.sql
+-- Description: Absolute 1995-2014 baseline climatology per municipality and index,
+--              so anomalies can be served as absolute values or relative change
+-- Created: 2025-11-08
+-- ============================================================================
+
+-- Ensure we're working in the public schema
+SET search_path TO public;
+
+-- Drop table if exists (for development only)
+DROP TABLE IF EXISTS public.climate_baselines CASCADE;
+
+-- Create climate_baselines table
+-- Loaded by scripts/etl/load-climate-baselines.js
+CREATE TABLE public.climate_baselines (
+    -- Foreign key to municipalities
+    municipality_id INTEGER NOT NULL,
+
+    -- Climate index code (matches climate_indices.index_code)
+    index_code VARCHAR(20) NOT NULL,
+
+    -- Baseline period the climatology is averaged over
+    baseline_period VARCHAR(20) NOT NULL DEFAULT '1995-2014',
+
+    -- Absolute baseline value, in the index unit
+    value DECIMAL(12, 4),
+
+    -- Audit fields
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- ========================================================================
+    -- CONSTRAINTS
+    -- ========================================================================
+
+    -- One baseline per municipality and index
+    CONSTRAINT pk_climate_baselines
+        PRIMARY KEY (municipality_id, index_code),
+
+    -- Foreign key to municipalities table
+    CONSTRAINT fk_climate_baselines_municipality
+        FOREIGN KEY (municipality_id)
+        REFERENCES public.municipalities(id)
+        ON DELETE CASCADE
+);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER trigger_update_climate_baselines_timestamp
+    BEFORE UPDATE ON public.climate_baselines
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Track baseline loads like the other datasets (see migration 006)
+INSERT INTO public.data_versions (dataset)
+VALUES ('climate_baselines')
+ON CONFLICT (dataset) DO NOTHING;
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Express an anomaly in a value mode (mirrored by valueInMode() in src/services/baselines.js)
+-- - anomaly: change from the baseline, as stored
+-- - absolute: projected absolute value (baseline + anomaly)
+-- - percent_change: change relative to the baseline magnitude (%), NULL for a zero baseline
+CREATE OR REPLACE FUNCTION public.climate_value_in_mode(
+    p_anomaly NUMERIC,
+    p_baseline NUMERIC,
+    p_mode TEXT
+)
+RETURNS NUMERIC AS $$
+    SELECT CASE p_mode
+        WHEN 'absolute' THEN ROUND(p_baseline + p_anomaly, 4)
+        WHEN 'percent_change' THEN ROUND(p_anomaly / NULLIF(ABS(p_baseline), 0) * 100, 4)
+        ELSE p_anomaly
+    END
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON TABLE public.climate_baselines IS 'Absolute 1995-2014 climatology per municipality and index (the reference for all anomalies)';
+COMMENT ON COLUMN public.climate_baselines.value IS 'Absolute baseline value in the index unit (e.g. days, mm, °C)';
+COMMENT ON FUNCTION public.climate_value_in_mode(NUMERIC, NUMERIC, TEXT) IS 'Convert an anomaly to anomaly, absolute or percent_change mode';
+
+-- ============================================================================
+-- VERIFICATION QUERIES (for testing after data load)
+-- ============================================================================
+
+-- Check total baselines (should be 213 municipalities × number of indices)
+-- SELECT COUNT(*) as total_baselines FROM public.climate_baselines;
+
+-- Projected hot days in absolute terms
+-- SELECT m.municipality_name, cb.value as baseline, cd.txge30 as anomaly,
+--        public.climate_value_in_mode(cd.txge30, cb.value, 'absolute') as projected
+-- FROM public.climate_data cd
+-- JOIN public.municipalities m ON m.id = cd.municipality_id
+-- JOIN public.climate_baselines cb ON cb.municipality_id = cd.municipality_id AND cb.index_code = 'txge30'
+-- WHERE cd.scenario = 'ssp585' AND cd.period = 'far-term_2081-2100'
+-- ORDER BY projected DESC
+-- LIMIT 5;
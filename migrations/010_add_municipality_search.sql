@@ -0,0 +1,61 @@
+-- ============================================================================
+-- Migration: 010_add_municipality_search.sql
+-- Description: Trigram and accent-insensitive search over municipality names,
+--              codes, districts and provinces (GET /municipalities/search)
+-- Created: 2025-11-10
+-- ============================================================================
+
+-- Ensure we're working in the public schema
+SET search_path TO public;
+
+-- Trigram similarity (similarity, word_similarity, gin_trgm_ops)
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public;
+
+-- Accent removal (e.g. "Naudé" -> "Naude")
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA public;
+
+-- ============================================================================
+-- FUNCTIONS
+-- ============================================================================
+
+-- Normalise text for searching: unaccented, lower case, and punctuation
+-- (hyphens, apostrophes, slashes) replaced by single spaces, so
+-- "KwaZulu-Natal" and "kwazulu natal" compare equal.
+-- unaccent() is only STABLE (it reads its dictionary through search_path);
+-- naming the dictionary makes the wrapper safe to declare IMMUTABLE and use in
+-- expression indexes.
+CREATE OR REPLACE FUNCTION public.search_text(value TEXT)
+RETURNS TEXT AS $$
+    SELECT btrim(regexp_replace(
+        lower(public.unaccent('public.unaccent'::regdictionary, value)),
+        '[^a-z0-9]+', ' ', 'g'
+    ))
+$$ LANGUAGE sql IMMUTABLE STRICT PARALLEL SAFE;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+
+-- Trigram indexes on the normalised text; they serve both the fuzzy (%, <%)
+-- operators and the LIKE patterns of prefix (typeahead) searches
+CREATE INDEX IF NOT EXISTS idx_municipalities_name_trgm
+    ON public.municipalities USING GIN (public.search_text(municipality_name) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_municipalities_code_trgm
+    ON public.municipalities USING GIN (public.search_text(municipality_code) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_municipalities_district_name_trgm
+    ON public.municipalities USING GIN (public.search_text(district_name) gin_trgm_ops);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+
+COMMENT ON FUNCTION public.search_text(TEXT) IS 'Unaccented, lower-case text with punctuation collapsed to spaces (used by municipality search)';
+
+-- Verification queries
+-- SELECT public.search_text('Dr Beyers Naudé');  -- dr beyers naude
+-- SELECT municipality_name, word_similarity('nkadla', public.search_text(municipality_name)) AS score
+-- FROM public.municipalities
+-- ORDER BY score DESC
+-- LIMIT 5;
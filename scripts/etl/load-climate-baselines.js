@@ -0,0 +1,242 @@
+/**
+ * ETL Script: Load Baseline Climatology from CSV
+ *
+ * Reads municipality_baseline_ALL_indices.csv (BASELINE_CSV to override) and
+ * loads the absolute 1995-2014 value of each index into the PostgreSQL
+ * climate_baselines table. Columns: OBJECTID, <index>... (one row per municipality)
+ *
+ * Baselines let the API serve projected absolute values (baseline + anomaly)
+ * and percent change next to the anomalies (mode=absolute|percent_change).
+ */
+
+import { createReadStream, existsSync } from 'fs';
+import csvParser from 'csv-parser';
+import db from '../../src/config/database.js';
+import { bumpDataVersion } from '../../src/services/data-version.js';
+import { indexRegistry } from '../../src/services/index-registry.js';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Path to CSV file
+const CSV_PATH = process.env.BASELINE_CSV
+  ? resolve(process.env.BASELINE_CSV)
+  : resolve(__dirname, '../../municipality_baseline_ALL_indices.csv');
+
+/**
+ * Parse CSV file and extract baseline records
+ * @returns {Promise<Array>} Array of baseline records
+ */
+async function parseCSV() {
+  return new Promise((resolve, reject) => {
+    const records = [];
+
+    console.log(`\n📂 Reading CSV: ${CSV_PATH}`);
+
+    createReadStream(CSV_PATH)
+      .on('error', (error) => {
+        reject(error);
+      })
+      .pipe(csvParser({ columns: true, skip_empty_lines: true }))
+      .on('data', (row) => {
+        records.push(row);
+      })
+      .on('end', () => {
+        console.log(`   ✓ Parsed ${records.length} rows from CSV`);
+        resolve(records);
+      })
+      .on('error', (error) => {
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Parse a CSV value (empty cells are NULL)
+ */
+function parseValue(val) {
+  return val === '' || val === null || val === undefined ? null : parseFloat(val);
+}
+
+// One row per index: index codes and values are passed as parallel arrays
+const INSERT_BASELINES_SQL = `
+  INSERT INTO public.climate_baselines (municipality_id, index_code, value)
+  SELECT $1, b.index_code, b.value
+  FROM unnest($2::text[], $3::numeric[]) as b(index_code, value)
+  ON CONFLICT (municipality_id, index_code) DO UPDATE SET
+    value = EXCLUDED.value,
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+/**
+ * Insert baseline records into PostgreSQL
+ * @param {Array} records - Array of CSV records
+ * @param {Array<string>} indices - Index columns to load
+ * @returns {Promise<void>}
+ */
+async function insertBaselines(records, indices) {
+  console.log('\n💾 Inserting baselines into PostgreSQL...');
+  console.log(`   Indices: ${indices.join(', ')}`);
+
+  let successCount = 0;
+  let skippedCount = 0;
+
+  await db.transaction(async (client) => {
+    console.log('   Loading municipality ID mappings...');
+    const municipalityIdMap = new Map();
+    const muniResult = await client.query('SELECT id, objectid FROM public.municipalities');
+    muniResult.rows.forEach(row => {
+      municipalityIdMap.set(parseFloat(row.objectid), row.id);
+    });
+    console.log(`   ✓ Loaded ${municipalityIdMap.size} municipality ID mappings`);
+
+    for (const record of records) {
+      const objectid = parseFloat(record.OBJECTID);
+      const municipalityId = municipalityIdMap.get(objectid);
+
+      if (!municipalityId) {
+        console.warn(`   ⚠ Municipality with OBJECTID ${objectid} not found, skipping`);
+        skippedCount++;
+        continue;
+      }
+
+      await client.query(INSERT_BASELINES_SQL, [
+        municipalityId,
+        indices,
+        indices.map(index => parseValue(record[index]))
+      ]);
+
+      successCount++;
+    }
+  });
+
+  console.log(`\n   ✓ Successfully inserted: ${successCount} municipalities`);
+  if (skippedCount > 0) {
+    console.log(`   ⚠ Skipped: ${skippedCount} records`);
+  }
+}
+
+/**
+ * Verify data loaded correctly
+ * @returns {Promise<void>}
+ */
+async function verifyLoad() {
+  console.log('\n📊 Verifying data load...');
+
+  const countResult = await db.query(`
+    SELECT
+      COUNT(DISTINCT municipality_id) as municipalities,
+      COUNT(*) as baselines,
+      COUNT(value) as non_null
+    FROM public.climate_baselines
+  `);
+  const counts = countResult.rows[0];
+  console.log(`   Municipalities with baselines: ${counts.municipalities} (expected: 213)`);
+  console.log(`   Baseline values: ${counts.baselines} (${counts.non_null} non-null)`);
+
+  const sampleResult = await db.query(`
+    SELECT
+      index_code,
+      ROUND(MIN(value), 2) as min,
+      ROUND(AVG(value), 2) as mean,
+      ROUND(MAX(value), 2) as max
+    FROM public.climate_baselines
+    GROUP BY index_code
+    ORDER BY index_code
+  `);
+
+  console.log('\n   Baseline range per index (1995-2014):');
+  console.log('   ' + '='.repeat(50));
+  sampleResult.rows.forEach(row => {
+    console.log(
+      `   ${row.index_code.padEnd(10)} | ` +
+      `${String(row.min ?? '').padStart(10)} | ` +
+      `${String(row.mean ?? '').padStart(10)} | ` +
+      `${String(row.max ?? '').padStart(10)}`
+    );
+  });
+  console.log('   ' + '='.repeat(50));
+}
+
+/**
+ * Main ETL process
+ */
+async function main() {
+  console.log('========================================');
+  console.log('  ETL: Load Baseline Climatology');
+  console.log('========================================');
+
+  try {
+    // Baselines are optional (only mode=absolute and percent_change need them),
+    // so a missing CSV does not fail etl:all
+    if (!existsSync(CSV_PATH)) {
+      console.log(`\nℹ️  No baseline CSV at ${CSV_PATH} - skipping baselines`);
+      console.log('   Set BASELINE_CSV or add the file to serve mode=absolute and percent_change');
+      return;
+    }
+
+    // Test database connection
+    await db.testConnection();
+
+    // Check if tables exist
+    const tableCheck = await db.query(`
+      SELECT
+        (SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'municipalities')) as municipalities_exists,
+        (SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'climate_baselines')) as climate_baselines_exists
+    `);
+
+    if (!tableCheck.rows[0].municipalities_exists) {
+      throw new Error('municipalities table does not exist. Run ETL to load municipalities first.');
+    }
+
+    if (!tableCheck.rows[0].climate_baselines_exists) {
+      throw new Error('climate_baselines table does not exist. Run migration first: npm run migrate');
+    }
+
+    // Parse CSV
+    const records = await parseCSV();
+
+    if (records.length === 0) {
+      throw new Error('No records found in CSV');
+    }
+
+    await indexRegistry.load();
+    const registered = indexRegistry.allCodes();
+
+    if (registered.length === 0) {
+      throw new Error('No climate indices registered. Run npm run etl:indices first.');
+    }
+
+    // Only load indices the CSV has a column for - a missing baseline stays
+    // absent, so absolute and percent_change values come back NULL
+    const indices = registered.filter(index => index in records[0]);
+    const missingColumns = registered.filter(index => !(index in records[0]));
+    if (missingColumns.length > 0) {
+      console.warn(`\n⚠️  CSV has no baseline for: ${missingColumns.join(', ')}`);
+    }
+
+    await insertBaselines(records, indices);
+
+    // Verify the load
+    await verifyLoad();
+
+    // Let API servers know their cached responses are stale
+    await bumpDataVersion('climate_baselines');
+
+    console.log('\n========================================');
+    console.log('  ✓ ETL Process Complete');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('\n✗ ETL Process Failed');
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await db.closePool();
+  }
+}
+
+// Run ETL
+main();
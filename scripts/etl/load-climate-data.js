@@ -2,12 +2,22 @@
  * ETL Script: Load Climate Data from CSV
  *
  * Reads municipality_means_ALL_indices.csv and loads climate anomaly data
- * into the PostgreSQL climate_data table
+ * into the PostgreSQL climate_values table (one row per index value; the
+ * climate_data view pivots them back into one column per index)
+ *
+ * Ensemble spread is loaded from an optional second CSV (ENSEMBLE_CSV, default
+ * municipality_ensemble_ALL_indices.csv) in either layout:
+ * - Per model: OBJECTID, scenario, period, model, <index>... (one row per model);
+ *   p10/p50/p90, model count and sign agreement are computed here
+ * - Precomputed: OBJECTID, scenario, period, <index>_p10, <index>_p50, <index>_p90,
+ *   <index>_model_count, <index>_sign_agreement (fraction of models, 0-1)
  */
 
-import { createReadStream } from 'fs';
+import { createReadStream, existsSync } from 'fs';
 import csvParser from 'csv-parser';
 import db from '../../src/config/database.js';
+import { bumpDataVersion } from '../../src/services/data-version.js';
+import { indexRegistry } from '../../src/services/index-registry.js';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 
@@ -17,17 +27,26 @@ const __dirname = dirname(__filename);
 // Path to CSV file
 const CSV_PATH = resolve(__dirname, '../../municipality_means_ALL_indices.csv');
 
+// Optional per-model or percentile CSV
+const ENSEMBLE_CSV_PATH = process.env.ENSEMBLE_CSV
+  ? resolve(process.env.ENSEMBLE_CSV)
+  : resolve(__dirname, '../../municipality_ensemble_ALL_indices.csv');
+
+// Percentiles computed from per-model values
+const PERCENTILES = { p10: 0.1, p50: 0.5, p90: 0.9 };
+
 /**
  * Parse CSV file and extract climate data
+ * @param {string} path - CSV file path
  * @returns {Promise<Array>} Array of climate data objects
  */
-async function parseCSV() {
+async function parseCSV(path = CSV_PATH) {
   return new Promise((resolve, reject) => {
     const records = [];
 
-    console.log(`\n📂 Reading CSV: ${CSV_PATH}`);
+    console.log(`\n📂 Reading CSV: ${path}`);
 
-    createReadStream(CSV_PATH)
+    createReadStream(path)
       .pipe(csvParser({ columns: true, skip_empty_lines: true }))
       .on('data', (row) => {
         records.push(row);
@@ -61,29 +80,72 @@ async function getMunicipalityId(client, objectid) {
   return result.rows[0].id;
 }
 
+/**
+ * Parse a CSV value (empty cells are NULL)
+ */
+function parseValue(val) {
+  return val === '' || val === null || val === undefined ? null : parseFloat(val);
+}
+
+/**
+ * Load the OBJECTID → municipality_id mapping
+ * @param {Object} client - Database client
+ * @returns {Promise<Map<number, number>>}
+ */
+async function loadMunicipalityIdMap(client) {
+  console.log('   Loading municipality ID mappings...');
+  const municipalityIdMap = new Map();
+  const muniResult = await client.query('SELECT id, objectid FROM public.municipalities');
+  muniResult.rows.forEach(row => {
+    municipalityIdMap.set(parseFloat(row.objectid), row.id);
+  });
+  console.log(`   ✓ Loaded ${municipalityIdMap.size} municipality ID mappings`);
+  return municipalityIdMap;
+}
+
+// One row per index: index codes and values are passed as parallel arrays
+const INSERT_VALUES_SQL = `
+  INSERT INTO public.climate_values (
+    municipality_id, scenario, period, index_code, statistic, value
+  )
+  SELECT $1, $2, $3, v.index_code, $4, v.value
+  FROM unnest($5::text[], $6::numeric[]) as v(index_code, value)
+  ON CONFLICT (municipality_id, scenario, period, index_code, statistic) DO UPDATE SET
+    value = EXCLUDED.value,
+    updated_at = CURRENT_TIMESTAMP
+`;
+
+const INSERT_AGREEMENT_SQL = `
+  INSERT INTO public.climate_agreement (
+    municipality_id, scenario, period, index_code, model_count, sign_agreement
+  )
+  SELECT $1, $2, $3, a.index_code, a.model_count, a.sign_agreement
+  FROM unnest($4::text[], $5::integer[], $6::numeric[]) as a(index_code, model_count, sign_agreement)
+  WHERE a.model_count IS NOT NULL
+    AND a.sign_agreement IS NOT NULL
+  ON CONFLICT (municipality_id, scenario, period, index_code) DO UPDATE SET
+    model_count = EXCLUDED.model_count,
+    sign_agreement = EXCLUDED.sign_agreement,
+    updated_at = CURRENT_TIMESTAMP
+`;
+
 /**
  * Insert climate data records into PostgreSQL
  * @param {Array} records - Array of CSV records
+ * @param {Array<string>} indices - Index columns to load (from the index registry)
  * @returns {Promise<void>}
  */
-async function insertClimateData(records) {
+async function insertClimateData(records, indices) {
   console.log('\n💾 Inserting climate data into PostgreSQL...');
+  console.log(`   Indices: ${indices.join(', ')}`);
 
   let successCount = 0;
   let errorCount = 0;
   let skippedCount = 0;
 
-  // Create a map for municipality IDs to avoid repeated queries
-  const municipalityIdMap = new Map();
-
   await db.transaction(async (client) => {
-    // Pre-load all municipality IDs
-    console.log('   Loading municipality ID mappings...');
-    const muniResult = await client.query('SELECT id, objectid FROM public.municipalities');
-    muniResult.rows.forEach(row => {
-      municipalityIdMap.set(parseFloat(row.objectid), row.id);
-    });
-    console.log(`   ✓ Loaded ${municipalityIdMap.size} municipality ID mappings`);
+    // Pre-load all municipality IDs to avoid repeated queries
+    const municipalityIdMap = await loadMunicipalityIdMap(client);
 
     console.log('   Inserting records...');
 
@@ -98,57 +160,13 @@ async function insertClimateData(records) {
           continue;
         }
 
-        // Parse all climate index values
-        const parseValue = (val) => val === '' || val === null || val === undefined ? null : parseFloat(val);
-
-        await client.query(`
-          INSERT INTO public.climate_data (
-            municipality_id, scenario, period,
-            cdd, csdi, cwd, fd, prcptot, r10mm, r20mm, r95p, r95ptot, r99p, r99ptot,
-            rx1day, rx5day, sdii, tn10p, tn90p, tnlt2, tnn, tnx, tx10p, tx90p,
-            txd_tnd, txge30, txgt50p, txn, txx, wsdi
-          ) VALUES (
-            $1, $2, $3,
-            $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
-            $15, $16, $17, $18, $19, $20, $21, $22, $23, $24,
-            $25, $26, $27, $28, $29, $30
-          )
-          ON CONFLICT (municipality_id, scenario, period) DO UPDATE SET
-            cdd = EXCLUDED.cdd,
-            csdi = EXCLUDED.csdi,
-            cwd = EXCLUDED.cwd,
-            updated_at = CURRENT_TIMESTAMP
-        `, [
+        await client.query(INSERT_VALUES_SQL, [
           municipalityId,
           record.scenario,
           record.period,
-          parseValue(record.cdd),
-          parseValue(record.csdi),
-          parseValue(record.cwd),
-          parseValue(record.fd),
-          parseValue(record.prcptot),
-          parseValue(record.r10mm),
-          parseValue(record.r20mm),
-          parseValue(record.r95p),
-          parseValue(record.r95ptot),
-          parseValue(record.r99p),
-          parseValue(record.r99ptot),
-          parseValue(record.rx1day),
-          parseValue(record.rx5day),
-          parseValue(record.sdii),
-          parseValue(record.tn10p),
-          parseValue(record.tn90p),
-          parseValue(record.tnlt2),
-          parseValue(record.tnn),
-          parseValue(record.tnx),
-          parseValue(record.tx10p),
-          parseValue(record.tx90p),
-          parseValue(record.txd_tnd),
-          parseValue(record.txge30),
-          parseValue(record.txgt50p),
-          parseValue(record.txn),
-          parseValue(record.txx),
-          parseValue(record.wsdi)
+          'mean',
+          indices,
+          indices.map(index => parseValue(record[index]))
         ]);
 
         successCount++;
@@ -175,6 +193,187 @@ async function insertClimateData(records) {
   }
 }
 
+/**
+ * Percentile of sorted values (linear interpolation between closest ranks)
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile as a fraction (0-1)
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Summarise one index's per-model values
+ * Sign agreement is the share of models whose change has the same sign as the median
+ *
+ * @param {Array<number>} values - One value per model (nulls removed)
+ * @returns {Object|null} { p10, p50, p90, model_count, sign_agreement }, or null without values
+ */
+function summariseModels(values) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const summary = {};
+  for (const [statistic, p] of Object.entries(PERCENTILES)) {
+    summary[statistic] = percentile(sorted, p);
+  }
+
+  const medianSign = Math.sign(summary.p50);
+  const agreeing = values.filter(value => Math.sign(value) === medianSign).length;
+
+  summary.model_count = values.length;
+  summary.sign_agreement = agreeing / values.length;
+  return summary;
+}
+
+/**
+ * Build ensemble statistics from the ensemble CSV
+ * Per-model files are detected by their `model` column
+ *
+ * @param {Array} records - Ensemble CSV records
+ * @param {Array<string>} indices - Index codes
+ * @returns {Array<Object>} { objectid, scenario, period, summaries: { index: summary } }
+ */
+function buildEnsembleStatistics(records, indices) {
+  const entries = new Map();
+  const entryFor = (record) => {
+    const key = `${record.OBJECTID}|${record.scenario}|${record.period}`;
+    if (!entries.has(key)) {
+      entries.set(key, {
+        objectid: parseFloat(record.OBJECTID),
+        scenario: record.scenario,
+        period: record.period,
+        summaries: {},
+        modelValues: Object.fromEntries(indices.map(index => [index, []]))
+      });
+    }
+    return entries.get(key);
+  };
+
+  if ('model' in records[0]) {
+    const models = new Set(records.map(record => record.model));
+    console.log(`   Per-model layout: ${models.size} models`);
+
+    for (const record of records) {
+      const entry = entryFor(record);
+      for (const index of indices) {
+        const value = parseValue(record[index]);
+        if (value !== null && !Number.isNaN(value)) {
+          entry.modelValues[index].push(value);
+        }
+      }
+    }
+
+    for (const entry of entries.values()) {
+      for (const index of indices) {
+        entry.summaries[index] = summariseModels(entry.modelValues[index]);
+      }
+    }
+  } else {
+    console.log('   Precomputed percentile layout');
+
+    for (const record of records) {
+      const entry = entryFor(record);
+      for (const index of indices) {
+        if (!(`${index}_p50` in record)) continue;
+
+        entry.summaries[index] = {
+          ...Object.fromEntries(
+            Object.keys(PERCENTILES).map(statistic => [statistic, parseValue(record[`${index}_${statistic}`])])
+          ),
+          model_count: parseValue(record[`${index}_model_count`]),
+          sign_agreement: parseValue(record[`${index}_sign_agreement`])
+        };
+      }
+    }
+  }
+
+  return Array.from(entries.values());
+}
+
+/**
+ * Insert ensemble percentiles and model agreement into PostgreSQL
+ * @param {Array<Object>} entries - Result of buildEnsembleStatistics()
+ * @param {Array<string>} indices - Index codes
+ * @returns {Promise<void>}
+ */
+async function insertEnsembleStatistics(entries, indices) {
+  console.log('\n💾 Inserting ensemble statistics into PostgreSQL...');
+
+  let successCount = 0;
+  let skippedCount = 0;
+
+  await db.transaction(async (client) => {
+    const municipalityIdMap = await loadMunicipalityIdMap(client);
+
+    for (const entry of entries) {
+      const municipalityId = municipalityIdMap.get(entry.objectid);
+      if (!municipalityId) {
+        console.warn(`   ⚠ Municipality with OBJECTID ${entry.objectid} not found, skipping`);
+        skippedCount++;
+        continue;
+      }
+
+      const loaded = indices.filter(index => entry.summaries[index]);
+      const summaries = loaded.map(index => entry.summaries[index]);
+
+      for (const statistic of Object.keys(PERCENTILES)) {
+        await client.query(INSERT_VALUES_SQL, [
+          municipalityId,
+          entry.scenario,
+          entry.period,
+          statistic,
+          loaded,
+          summaries.map(summary => summary[statistic])
+        ]);
+      }
+
+      await client.query(INSERT_AGREEMENT_SQL, [
+        municipalityId,
+        entry.scenario,
+        entry.period,
+        loaded,
+        summaries.map(summary => summary.model_count),
+        summaries.map(summary => summary.sign_agreement)
+      ]);
+
+      successCount++;
+    }
+  });
+
+  console.log(`   ✓ Ensemble statistics for ${successCount} municipality/scenario/period records`);
+  if (skippedCount > 0) {
+    console.log(`   ⚠ Skipped: ${skippedCount} records`);
+  }
+}
+
+/**
+ * Load ensemble statistics if the ensemble CSV exists
+ * @param {Array<string>} indices - Index codes
+ * @returns {Promise<void>}
+ */
+async function loadEnsembleStatistics(indices) {
+  if (!existsSync(ENSEMBLE_CSV_PATH)) {
+    console.log(`\nℹ️  No ensemble CSV at ${ENSEMBLE_CSV_PATH} - loading ensemble means only`);
+    return;
+  }
+
+  const records = await parseCSV(ENSEMBLE_CSV_PATH);
+  if (records.length === 0) {
+    console.warn('\n⚠️  Ensemble CSV is empty, skipping ensemble statistics');
+    return;
+  }
+
+  const entries = buildEnsembleStatistics(records, indices);
+  await insertEnsembleStatistics(entries, indices);
+}
+
 /**
  * Verify data loaded correctly
  * @returns {Promise<void>}
@@ -189,6 +388,16 @@ async function verifyLoad() {
   console.log(`   Total climate data records: ${countResult.rows[0].count}`);
   console.log(`   Expected: 2,544 (213 municipalities × 4 scenarios × 3 periods)`);
 
+  const valuesResult = await db.query(`
+    SELECT statistic, COUNT(*) as count, COUNT(DISTINCT index_code) as indices
+    FROM public.climate_values
+    GROUP BY statistic
+    ORDER BY statistic
+  `);
+  valuesResult.rows.forEach(row => {
+    console.log(`   Climate values (${row.statistic}): ${row.count} (${row.indices} indices)`);
+  });
+
   // Check data distribution by scenario and period
   const distResult = await db.query(`
     SELECT scenario, period, COUNT(*) as count
@@ -255,15 +464,15 @@ async function main() {
     const tableCheck = await db.query(`
       SELECT
         (SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'municipalities')) as municipalities_exists,
-        (SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'climate_data')) as climate_data_exists
+        (SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'climate_values')) as climate_values_exists
     `);
 
     if (!tableCheck.rows[0].municipalities_exists) {
       throw new Error('municipalities table does not exist. Run ETL to load municipalities first.');
     }
 
-    if (!tableCheck.rows[0].climate_data_exists) {
-      throw new Error('climate_data table does not exist. Run migration first: npm run migrate');
+    if (!tableCheck.rows[0].climate_values_exists) {
+      throw new Error('climate_values table does not exist. Run migration first: npm run migrate');
     }
 
     // Parse CSV
@@ -273,12 +482,32 @@ async function main() {
       throw new Error('No records found in CSV');
     }
 
+    // Indices come from climate_indices (inactive indices are loaded too,
+    // so they can be re-activated without reloading data)
+    await indexRegistry.load();
+    const indices = indexRegistry.allCodes();
+
+    if (indices.length === 0) {
+      throw new Error('No climate indices registered. Run npm run etl:indices first.');
+    }
+
+    const missingColumns = indices.filter(index => !(index in records[0]));
+    if (missingColumns.length > 0) {
+      console.warn(`\n⚠️  CSV has no column for: ${missingColumns.join(', ')} (loaded as NULL)`);
+    }
+
     // Insert into PostgreSQL
-    await insertClimateData(records);
+    await insertClimateData(records, indices);
+
+    // Percentiles and model agreement (optional)
+    await loadEnsembleStatistics(indices);
 
     // Verify the load
     await verifyLoad();
 
+    // Let API servers know their cached responses are stale
+    await bumpDataVersion('climate_data');
+
     console.log('\n========================================');
     console.log('  ✓ ETL Process Complete');
     console.log('========================================\n');
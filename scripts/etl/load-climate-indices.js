@@ -6,10 +6,16 @@
  */
 
 import db from '../../src/config/database.js';
+import { bumpDataVersion } from '../../src/services/data-version.js';
+import { indexRegistry } from '../../src/services/index-registry.js';
 
 /**
  * Climate indices metadata based on "How to read the layers.pdf"
  * All indices represent anomalies (changes) from 1995-2014 baseline
+ *
+ * This seeds public.climate_indices, which the API and the climate data ETL read
+ * through the index registry. To add an index: add it here, then run
+ * etl:indices (which adds its column to the climate_data view) and etl:climate.
  */
 const CLIMATE_INDICES = [
   // ========================================================================
@@ -468,6 +474,18 @@ async function main() {
     // Verify the load
     await verifyLoad();
 
+    // Give every registered index a column in the climate_data compatibility view
+    const viewResult = await db.query('SELECT public.refresh_climate_data_view() as columns');
+    console.log(`\n🔄 climate_data view rebuilt with ${viewResult.rows[0].columns} index columns`);
+
+    // Check every index maps to a climate_data column
+    await indexRegistry.load();
+    const { registered, active } = indexRegistry.getStatus();
+    console.log(`\n📚 Index registry: ${registered} registered, ${active} active`);
+
+    // Let API servers know their cached responses are stale
+    await bumpDataVersion('climate_indices');
+
     console.log('\n========================================');
     console.log('  ✓ ETL Process Complete');
     console.log('========================================\n');
@@ -7,6 +7,8 @@
 
 import gdal from 'gdal-async';
 import db from '../../src/config/database.js';
+import { bumpDataVersion } from '../../src/services/data-version.js';
+import { SIMPLIFICATION_LEVELS } from '../../src/config/geometry.js';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 
@@ -168,6 +170,40 @@ async function insertMunicipalities(municipalities) {
   }
 }
 
+/**
+ * Build simplified geometries for each simplification level
+ * ST_CoverageSimplify treats all municipalities as one coverage, so shared
+ * borders are simplified identically on both sides and stay gap-free
+ * @returns {Promise<void>}
+ */
+async function buildSimplifiedGeometries() {
+  console.log('\n✂️  Building simplified geometries...');
+
+  await db.transaction(async (client) => {
+    await client.query('DELETE FROM public.municipality_geometries_simplified');
+
+    for (const [level, { tolerance }] of Object.entries(SIMPLIFICATION_LEVELS)) {
+      const result = await client.query(`
+        INSERT INTO public.municipality_geometries_simplified (
+          municipality_id,
+          level,
+          tolerance,
+          geom
+        )
+        SELECT
+          id,
+          $1,
+          $2,
+          ST_Multi(ST_CoverageSimplify(geom, $2) OVER ())
+        FROM public.municipalities
+        WHERE geom IS NOT NULL
+      `, [level, tolerance]);
+
+      console.log(`   ✓ ${level.padEnd(6)} (tolerance ${tolerance}°): ${result.rowCount} geometries`);
+    }
+  });
+}
+
 /**
  * Verify data loaded correctly
  * @returns {Promise<void>}
@@ -191,6 +227,22 @@ async function verifyLoad() {
   console.log(`   Valid geometries: ${validGeomResult.rows[0].valid_count}`);
   console.log(`   Invalid geometries: ${validGeomResult.rows[0].invalid_count}`);
 
+  // Vertex counts per simplification level
+  const vertexResult = await db.query(`
+    SELECT level, SUM(ST_NPoints(geom)) as vertices
+    FROM public.municipality_geometries_simplified
+    GROUP BY level
+    ORDER BY vertices
+  `);
+  const fullVertexResult = await db.query(`
+    SELECT SUM(ST_NPoints(geom)) as vertices FROM public.municipalities
+  `);
+  console.log('\n   Vertices by simplification level:');
+  vertexResult.rows.forEach(row => {
+    console.log(`   ${row.level.padEnd(6)}: ${row.vertices}`);
+  });
+  console.log(`   full  : ${fullVertexResult.rows[0].vertices}`);
+
   // Sample data
   const sampleResult = await db.query(`
     SELECT
@@ -274,9 +326,15 @@ async function main() {
     // Insert into PostgreSQL
     await insertMunicipalities(municipalities);
 
+    // Precompute simplified geometries for low-zoom maps
+    await buildSimplifiedGeometries();
+
     // Verify the load
     await verifyLoad();
 
+    // Let API servers know their cached responses are stale
+    await bumpDataVersion('municipalities');
+
     console.log('\n========================================');
     console.log('  ✓ ETL Process Complete');
     console.log('========================================\n');
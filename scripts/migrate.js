@@ -56,6 +56,12 @@ async function main() {
       '002_create_climate_data_table.sql',
       '003_create_climate_indices_table.sql',
       '004_add_district_fields.sql',
+      '005_create_simplified_geometries_table.sql',
+      '006_create_data_versions_table.sql',
+      '007_create_climate_values_table.sql',
+      '008_add_ensemble_statistics.sql',
+      '009_create_climate_baselines_table.sql',
+      '010_add_municipality_search.sql',
     ];
 
     console.log(`\nFound ${migrations.length} migration(s) to run\n`);
@@ -74,7 +80,7 @@ async function main() {
       SELECT table_name
       FROM information_schema.tables
       WHERE table_schema = 'public'
-      AND table_name IN ('municipalities', 'climate_data', 'climate_indices')
+      AND table_name IN ('municipalities', 'climate_data', 'climate_indices', 'municipality_geometries_simplified', 'data_versions', 'climate_values', 'climate_periods', 'climate_agreement', 'climate_baselines')
       ORDER BY table_name
     `);
 
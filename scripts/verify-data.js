@@ -171,7 +171,7 @@ async function verifyDatabase() {
         AND column_name = ci.index_code
       )
     `);
-    console.log(`✓ Climate indices not in climate_data table: ${missingIndices.rows.length} (should be 0)`);
+    console.log(`✓ Climate indices not in climate_data view: ${missingIndices.rows.length} (should be 0)`);
 
     console.log('\n' + '='.repeat(80));
     console.log('DATABASE SUMMARY');
@@ -181,7 +181,7 @@ async function verifyDatabase() {
       SELECT
         (SELECT pg_size_pretty(pg_database_size(current_database()))) as db_size,
         (SELECT pg_size_pretty(pg_total_relation_size('public.municipalities'))) as municipalities_size,
-        (SELECT pg_size_pretty(pg_total_relation_size('public.climate_data'))) as climate_data_size,
+        (SELECT pg_size_pretty(pg_total_relation_size('public.climate_values'))) as climate_data_size,
         (SELECT pg_size_pretty(pg_total_relation_size('public.climate_indices'))) as indices_size
     `);
 
@@ -0,0 +1,118 @@
+/**
+ * Climate Data Dimensions
+ * Valid scenarios, periods and statistics (must match the climate_values table)
+ * Climate indices come from the index registry (services/index-registry.js)
+ */
+
+// SSP scenarios (matches chk_scenario constraint)
+export const VALID_SCENARIOS = ['ssp126', 'ssp245', 'ssp370', 'ssp585'];
+
+// Scenario names and descriptions (IPCC AR6 Shared Socioeconomic Pathways)
+export const SCENARIO_DESCRIPTIONS = {
+  ssp126: {
+    name: 'SSP1-2.6',
+    description: 'Sustainability: low emissions, warming kept below 2°C by 2100'
+  },
+  ssp245: {
+    name: 'SSP2-4.5',
+    description: 'Middle of the road: intermediate emissions, around 2.7°C of warming by 2100'
+  },
+  ssp370: {
+    name: 'SSP3-7.0',
+    description: 'Regional rivalry: high emissions, around 3.6°C of warming by 2100'
+  },
+  ssp585: {
+    name: 'SSP5-8.5',
+    description: 'Fossil-fuelled development: very high emissions, around 4.4°C of warming by 2100'
+  }
+};
+
+// Reference period all anomalies are relative to
+export const BASELINE_PERIOD = '1995-2014';
+
+// Time periods in chronological order (matches chk_period constraint)
+export const VALID_PERIODS = ['near-term_2021-2040', 'mid-term_2041-2060', 'far-term_2081-2100'];
+
+// Ensemble statistics (matches chk_climate_values_statistic constraint)
+// mean is the ensemble mean; p10/p50/p90 are percentiles across models
+export const VALID_STATISTICS = ['mean', 'p10', 'p50', 'p90'];
+export const DEFAULT_STATISTIC = 'mean';
+
+// Value modes: anomalies (as stored), projected absolute values (baseline + anomaly)
+// or change relative to the 1995-2014 baseline (%)
+export const VALUE_MODES = ['anomaly', 'absolute', 'percent_change'];
+export const DEFAULT_VALUE_MODE = 'anomaly';
+
+// Minimum share of models agreeing on the sign of change for a value to be
+// flagged as robust (IPCC AR6 uses 80%)
+export const AGREEMENT_THRESHOLD = 0.8;
+
+// Sector codes used in climate_indices.sector (an index can carry several, e.g. "H, AFS, WRH")
+export const SECTORS = {
+  AFS: 'Agriculture and Food Security',
+  H: 'Hydrology',
+  WRH: 'Water Resources and Health'
+};
+
+/**
+ * Parse a comma-separated query parameter into a list
+ * @param {string|undefined} value - Raw query value (e.g. "cdd,wsdi")
+ * @param {Array} defaults - List to use when the parameter is missing
+ * @returns {Array} Trimmed, lower-cased, de-duplicated values
+ */
+export function parseList(value, defaults = []) {
+  if (value === undefined || value === '') {
+    return defaults;
+  }
+
+  const items = String(value)
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(items)];
+}
+
+/**
+ * Resolve the optional ensemble statistic parameter
+ * @param {string|undefined} value - Raw query value (default: mean)
+ * @returns {Object} { statistic } or { error, valid_statistics } if invalid
+ */
+export function resolveStatistic(value) {
+  const statistic = value === undefined || value === '' ? DEFAULT_STATISTIC : String(value).toLowerCase();
+
+  if (!VALID_STATISTICS.includes(statistic)) {
+    return { error: 'Invalid statistic', valid_statistics: VALID_STATISTICS };
+  }
+  return { statistic };
+}
+
+/**
+ * Resolve the optional value mode parameter
+ * @param {string|undefined} value - Raw query value (default: anomaly)
+ * @returns {Object} { mode } or { error, valid_modes } if invalid
+ */
+export function resolveValueMode(value) {
+  const mode = value === undefined || value === '' ? DEFAULT_VALUE_MODE : String(value).toLowerCase();
+
+  if (!VALUE_MODES.includes(mode)) {
+    return { error: 'Invalid mode', valid_modes: VALUE_MODES };
+  }
+  return { mode };
+}
+
+export default {
+  VALID_SCENARIOS,
+  SCENARIO_DESCRIPTIONS,
+  BASELINE_PERIOD,
+  VALID_PERIODS,
+  VALID_STATISTICS,
+  DEFAULT_STATISTIC,
+  VALUE_MODES,
+  DEFAULT_VALUE_MODE,
+  AGREEMENT_THRESHOLD,
+  SECTORS,
+  parseList,
+  resolveStatistic,
+  resolveValueMode
+};
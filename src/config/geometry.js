@@ -0,0 +1,84 @@
+/**
+ * Geometry Output Configuration
+ * Simplification levels and coordinate precision for GeoJSON responses
+ *
+ * Simplified geometries are precomputed by the municipalities ETL into
+ * public.municipality_geometries_simplified using ST_CoverageSimplify,
+ * which simplifies shared borders once so neighbours stay gap-free.
+ */
+
+/**
+ * Simplification levels (tolerance in degrees, EPSG:4326)
+ * maxZoom is the highest web map zoom level the level is served for
+ */
+export const SIMPLIFICATION_LEVELS = {
+  low: { tolerance: 0.01, maxZoom: 5 },      // ~1 km - national view
+  medium: { tolerance: 0.0025, maxZoom: 8 }, // ~250 m - provincial view
+  high: { tolerance: 0.0005, maxZoom: 11 }   // ~50 m - district view
+};
+
+// Full resolution geometry (no simplification)
+export const FULL_RESOLUTION = 'full';
+
+// Coordinate precision (decimal places) for ST_AsGeoJSON
+export const MIN_PRECISION = 1;
+export const MAX_PRECISION = 9;
+export const DEFAULT_PRECISION = parseInt(process.env.GEOJSON_PRECISION || '6', 10);
+
+/**
+ * Pick the simplification level for a web map zoom level
+ * @param {number} zoom - Web map zoom level
+ * @returns {string} Simplification level name
+ */
+export function levelForZoom(zoom) {
+  for (const [level, settings] of Object.entries(SIMPLIFICATION_LEVELS)) {
+    if (zoom <= settings.maxZoom) {
+      return level;
+    }
+  }
+  return FULL_RESOLUTION;
+}
+
+/**
+ * Resolve geometry options from request query parameters
+ * `simplify` takes precedence over `zoom`; with neither, full resolution is served
+ *
+ * @param {Object} params - Query parameters (simplify, zoom, precision)
+ * @returns {Object} { level, precision } or { error } if a parameter is invalid
+ */
+export function resolveGeometryOptions(params = {}) {
+  const { simplify, zoom, precision } = params;
+  const validLevels = [...Object.keys(SIMPLIFICATION_LEVELS), FULL_RESOLUTION];
+
+  let level = FULL_RESOLUTION;
+  if (simplify !== undefined) {
+    if (!validLevels.includes(simplify)) {
+      return { error: 'Invalid simplify level', valid_levels: validLevels };
+    }
+    level = simplify;
+  } else if (zoom !== undefined) {
+    const zoomLevel = Number(zoom);
+    if (!Number.isInteger(zoomLevel) || zoomLevel < 0 || zoomLevel > 22) {
+      return { error: 'Invalid zoom level (expected integer 0-22)' };
+    }
+    level = levelForZoom(zoomLevel);
+  }
+
+  let digits = DEFAULT_PRECISION;
+  if (precision !== undefined) {
+    digits = Number(precision);
+    if (!Number.isInteger(digits) || digits < MIN_PRECISION || digits > MAX_PRECISION) {
+      return { error: `Invalid precision (expected integer ${MIN_PRECISION}-${MAX_PRECISION})` };
+    }
+  }
+
+  return { level, precision: digits };
+}
+
+export default {
+  SIMPLIFICATION_LEVELS,
+  FULL_RESOLUTION,
+  DEFAULT_PRECISION,
+  levelForZoom,
+  resolveGeometryOptions
+};
@@ -0,0 +1,124 @@
+/**
+ * List Definitions
+ * Columns, default order and filters of the paginated list endpoints
+ * (see services/list-query.js for the definition format)
+ *
+ * Shared by the routes and the cache warmer, so warmed entries have the same
+ * shape as the responses they stand in for.
+ */
+
+// Codes are stored upper case (e.g. GP, DC24)
+const upperCase = value => value.trim().toUpperCase();
+
+const municipalityFilters = {
+  district_code: {
+    spec: { type: 'string', maxLength: 20 },
+    condition: param => `district_code = ${param}`,
+    value: upperCase
+  },
+  category: {
+    spec: { type: 'string', maxLength: 10 },
+    condition: param => `UPPER(category) = ${param}`,
+    value: upperCase
+  },
+  min_area_km2: {
+    spec: { type: 'number', min: 0, label: 'minimum area' },
+    condition: param => `area_km2 >= ${param}`,
+    value: Number
+  },
+  max_area_km2: {
+    spec: { type: 'number', min: 0, label: 'maximum area' },
+    condition: param => `area_km2 <= ${param}`,
+    value: Number
+  }
+};
+
+export const MUNICIPALITY_LIST = {
+  table: 'public.municipalities',
+  columns: [
+    'id',
+    'objectid',
+    'municipality_name',
+    'municipality_code',
+    'province',
+    'district_code',
+    'district_name',
+    'category',
+    'centroid_lat',
+    'centroid_lon',
+    'area_km2'
+  ],
+  defaultSort: ['province', 'municipality_name'],
+  tiebreaker: 'id',
+  filters: {
+    province: {
+      spec: { type: 'string', maxLength: 50 },
+      condition: param => `province = ${param}`,
+      value: upperCase
+    },
+    ...municipalityFilters
+  }
+};
+
+// Province listing: province comes from the path
+export const PROVINCE_LIST = {
+  ...MUNICIPALITY_LIST,
+  defaultFields: [
+    'id',
+    'objectid',
+    'municipality_name',
+    'municipality_code',
+    'district_code',
+    'district_name',
+    'centroid_lat',
+    'centroid_lon',
+    'area_km2'
+  ],
+  defaultSort: ['municipality_name'],
+  filters: municipalityFilters
+};
+
+// Only active indices are listed
+export const INDEX_LIST = {
+  table: 'public.climate_indices',
+  conditions: ['is_active = true'],
+  columns: [
+    'id',
+    'index_code',
+    'index_name',
+    'category',
+    'description',
+    'technical_definition',
+    'plain_language_description',
+    'unit',
+    'interpretation',
+    'risk_direction',
+    'sector',
+    'baseline_period',
+    'display_order',
+    'color_scheme',
+    'color_palette_type',
+    'anomaly_direction',
+    'is_active'
+  ],
+  defaultSort: ['display_order', 'category', 'index_code'],
+  tiebreaker: 'id',
+  filters: {
+    category: {
+      spec: { type: 'string', maxLength: 50 },
+      condition: param => `category = ${param}`,
+      value: value => value.trim().toLowerCase()
+    },
+    // Sector tags are comma-separated lists (e.g. "H, AFS, WRH")
+    sector: {
+      spec: { type: 'string', maxLength: 10 },
+      condition: param => `UPPER(${param}) = ANY(regexp_split_to_array(UPPER(sector), '\\s*,\\s*'))`,
+      value: value => value.trim()
+    },
+    risk_direction: {
+      spec: { type: 'string', maxLength: 50 },
+      condition: param => `risk_direction = ${param}`,
+      value: value => value.trim()
+    }
+  }
+};
@@ -0,0 +1,877 @@
+/**
+ * OpenAPI Configuration
+ * Document metadata, shared component schemas and per-operation documentation
+ * for the OpenAPI 3.1 document served at /openapi.json (built by services/openapi.js)
+ *
+ * Parameters and request bodies are not repeated here: they are generated from
+ * each route's validate() schema. Every route needs an entry in OPERATIONS,
+ * keyed by "METHOD /path/{param}" - `npm run openapi:check` fails otherwise.
+ *
+ * Operation fields:
+ * - summary, description
+ * - response: schema of the 200 JSON body
+ * - csv: the route also answers ?format=csv / Accept: text/csv
+ * - content: non-JSON 200 media type (e.g. vector tiles)
+ * - errors: extra HTTP error statuses (400 is added for validated routes)
+ * - requestBody: JSON body schema for routes that validate their body in the handler
+ * - admin: requires the admin bearer token
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = (type, extra = {}) => ({ type: [type, 'null'], ...extra });
+
+// Success envelope used by the JSON endpoints
+const envelope = (properties, required = []) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: {
+    success: { type: 'boolean', const: true },
+    ...properties
+  }
+});
+
+const list = (itemSchema, properties = {}) => envelope({
+  count: { type: 'integer' },
+  ...properties,
+  data: { type: 'array', items: itemSchema }
+}, ['count', 'data']);
+
+// List with pagination members (services/list-query.js); items hold the
+// requested ?fields only
+const page = (itemSchema, properties = {}) => list(itemSchema, {
+  total: { type: 'integer', description: 'Rows matching the filters' },
+  limit: nullable('integer', { description: 'Page size (null when every row is returned)' }),
+  offset: { type: 'integer' },
+  links: ref('PageLinks'),
+  ...properties
+});
+
+const scenario = { type: 'string', example: 'ssp245' };
+const period = { type: 'string', example: 'near-term_2021-2040' };
+const statistic = { type: 'string', example: 'mean' };
+const mode = { type: 'string', example: 'anomaly' };
+
+export const OPENAPI_INFO = {
+  title: 'Climate Risk Tool API',
+  version: '1.0.0',
+  license: { name: 'MIT', identifier: 'MIT' },
+  description: 'Climate projections (CMIP6 ensemble anomalies under SSP scenarios) for South African ' +
+    'local municipalities, with GeoJSON and vector tiles for mapping, district and province rollups, ' +
+    'and composite risk scores.\n\n' +
+    'Errors are `application/problem+json` documents with a machine-readable `code` ' +
+    '(see the Problem schema). Every response carries an `X-Request-ID` header.'
+};
+
+export const TAGS = [
+  { name: 'Municipalities', description: 'Municipality boundaries and attributes' },
+  { name: 'Climate Data', description: 'Climate projections, point and area lookups, exports and map layers' },
+  { name: 'Indices', description: 'Climate index metadata' },
+  { name: 'Risk', description: 'Composite climate risk scores' },
+  { name: 'Catalog', description: 'Available scenarios, periods, indices and data coverage' },
+  { name: 'Cache', description: 'Response cache administration (admin token required)' }
+];
+
+export const COMPONENT_SCHEMAS = {
+  Problem: {
+    type: 'object',
+    description: 'RFC 9457 problem details',
+    required: ['type', 'title', 'status', 'code', 'detail'],
+    properties: {
+      type: { type: 'string', example: 'about:blank' },
+      title: { type: 'string', example: 'Bad Request' },
+      status: { type: 'integer', example: 400 },
+      code: { type: 'string', description: 'Machine-readable error code', example: 'validation_failed' },
+      detail: { type: 'string', example: 'Invalid scenario: ssp999' },
+      instance: { type: 'string', description: 'Request URL' },
+      correlation_id: { type: 'string', description: 'Same as the X-Request-ID response header' },
+      success: { type: 'boolean', const: false },
+      error: { type: 'string', description: 'Same as detail (earlier { success, error } bodies)' },
+      errors: { type: 'array', items: ref('ParameterError') }
+    }
+  },
+  ParameterError: {
+    type: 'object',
+    required: ['in', 'name', 'code', 'detail'],
+    properties: {
+      in: { type: 'string', enum: ['path', 'query', 'body'] },
+      name: { type: 'string', example: 'points[2].lat' },
+      code: { type: 'string', example: 'out_of_range' },
+      detail: { type: 'string' },
+      allowed: { type: 'array', items: { type: 'string' } },
+      min: { type: 'number' },
+      max: { type: 'number' }
+    }
+  },
+  Decimal: nullable('string', {
+    description: 'PostgreSQL DECIMAL, serialised as a string to keep its precision',
+    example: '12.3456'
+  }),
+  Municipality: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      objectid: { type: 'integer' },
+      municipality_name: { type: 'string', example: 'City of Cape Town' },
+      municipality_code: { type: 'string', example: 'CPT' },
+      province: { type: 'string', example: 'WC' },
+      district_code: nullable('string'),
+      district_name: nullable('string'),
+      category: nullable('string'),
+      centroid_lat: ref('Decimal'),
+      centroid_lon: ref('Decimal'),
+      area_km2: ref('Decimal')
+    }
+  },
+  MunicipalityDetail: {
+    allOf: [
+      ref('Municipality'),
+      {
+        type: 'object',
+        properties: {
+          cat2: nullable('string'),
+          cat_b: nullable('string'),
+          geometry: { type: 'string', description: 'GeoJSON geometry (ST_AsGeoJSON text)' }
+        }
+      }
+    ]
+  },
+  MunicipalityRef: {
+    type: 'object',
+    properties: {
+      id: { type: ['integer', 'string'] },
+      name: { type: 'string' },
+      province: { type: 'string' }
+    }
+  },
+  MunicipalitySearchResult: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      municipality_name: { type: 'string', example: 'Dr Beyers Naude' },
+      municipality_code: nullable('string'),
+      province: nullable('string'),
+      district_code: nullable('string'),
+      district_name: nullable('string'),
+      centroid_lat: ref('Decimal'),
+      centroid_lon: ref('Decimal'),
+      score: { type: 'number', description: 'Match quality, 0-1 (1 = exact name or code)', example: 0.9 },
+      match: {
+        type: 'object',
+        description: 'Best-matching field of the result',
+        properties: {
+          field: {
+            type: 'string',
+            enum: ['municipality_name', 'municipality_code', 'district_name', 'district_code', 'province']
+          },
+          value: { type: 'string', example: 'Dr Beyers Naude' },
+          ranges: {
+            type: 'array',
+            description: 'Matched [start, end) character ranges of value',
+            items: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 },
+            example: [[3, 15]]
+          },
+          highlight: {
+            type: 'string',
+            description: 'HTML-escaped value with the ranges wrapped in <mark>',
+            example: 'Dr <mark>Beyers Naude</mark>'
+          }
+        }
+      }
+    }
+  },
+  ClimateDataRow: {
+    type: 'object',
+    description: 'One scenario/period row with a column per climate index (e.g. cdd, wsdi)',
+    properties: {
+      municipality_id: { type: 'integer' },
+      scenario,
+      period,
+      period_start: { type: 'integer' },
+      period_end: { type: 'integer' },
+      statistic,
+      agreement: {
+        type: 'object',
+        description: 'Model sign agreement per index (true when at least 80% of models agree)',
+        additionalProperties: nullable('boolean')
+      }
+    },
+    additionalProperties: true
+  },
+  ClimateValue: {
+    type: 'object',
+    description: 'One value in long format (one row per municipality, scenario, period and index)',
+    properties: {
+      municipality_id: { type: 'integer' },
+      municipality_name: { type: 'string' },
+      scenario,
+      period,
+      period_start: { type: 'integer' },
+      period_end: { type: 'integer' },
+      index_code: { type: 'string', example: 'cdd' },
+      statistic,
+      mode,
+      value: ref('Decimal'),
+      baseline: ref('Decimal'),
+      model_count: nullable('integer'),
+      sign_agreement: ref('Decimal'),
+      agreement: nullable('boolean')
+    },
+    additionalProperties: true
+  },
+  ClimateIndex: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      index_code: { type: 'string', example: 'cdd' },
+      index_name: { type: 'string', example: 'Consecutive Dry Days' },
+      category: { type: 'string' },
+      description: nullable('string'),
+      technical_definition: nullable('string'),
+      plain_language_description: nullable('string'),
+      unit: nullable('string'),
+      interpretation: nullable('string'),
+      risk_direction: nullable('string'),
+      sector: nullable('string', { example: 'H, AFS, WRH' }),
+      baseline_period: nullable('string'),
+      display_order: nullable('integer'),
+      color_scheme: nullable('string', { example: 'RdBu_r' }),
+      color_palette_type: nullable('string', { example: 'diverging' }),
+      anomaly_direction: nullable('string'),
+      is_active: { type: 'boolean' }
+    }
+  },
+  Geometry: {
+    type: 'object',
+    description: 'GeoJSON Polygon or MultiPolygon in EPSG:4326',
+    required: ['type', 'coordinates'],
+    properties: {
+      type: { type: 'string', enum: ['Polygon', 'MultiPolygon'] },
+      coordinates: { type: 'array', items: { type: 'array' } }
+    }
+  },
+  ClimateFeatureCollection: {
+    type: 'object',
+    required: ['type', 'features'],
+    properties: {
+      type: { type: 'string', const: 'FeatureCollection' },
+      features: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'geometry', 'properties'],
+          properties: {
+            type: { type: 'string', const: 'Feature' },
+            id: { type: 'integer' },
+            geometry: ref('Geometry'),
+            properties: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                municipality_name: { type: 'string' },
+                municipality_code: { type: 'string' },
+                province: { type: 'string' },
+                district_code: nullable('string'),
+                district_name: nullable('string'),
+                centroid_lat: nullable('number'),
+                centroid_lon: nullable('number'),
+                area_km2: nullable('number'),
+                scenario,
+                period,
+                period_start: { type: 'integer' },
+                period_end: { type: 'integer' },
+                index_code: { type: 'string' },
+                statistic,
+                mode,
+                value: nullable('number'),
+                baseline: nullable('number'),
+                agreement: nullable('boolean')
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  AggregateRow: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'District code or province' },
+      name: { type: 'string' },
+      province: { type: 'string' },
+      municipality_count: { type: 'integer' },
+      total_area_km2: ref('Decimal'),
+      mean: ref('Decimal'),
+      min: ref('Decimal'),
+      max: ref('Decimal'),
+      std_dev: ref('Decimal'),
+      sign_agreement: ref('Decimal'),
+      agreement: nullable('boolean')
+    }
+  },
+  AggregateFeatureCollection: {
+    type: 'object',
+    required: ['type', 'features'],
+    properties: {
+      type: { type: 'string', const: 'FeatureCollection' },
+      features: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'geometry', 'properties'],
+          properties: {
+            type: { type: 'string', const: 'Feature' },
+            id: { type: 'string' },
+            geometry: ref('Geometry'),
+            properties: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                name: { type: 'string' },
+                province: { type: 'string' },
+                level: { type: 'string', enum: ['district', 'province'] },
+                scenario,
+                period,
+                index_code: { type: 'string' },
+                statistic,
+                mode,
+                municipality_count: { type: 'integer' },
+                total_area_km2: nullable('number'),
+                mean: nullable('number'),
+                min: nullable('number'),
+                max: nullable('number'),
+                std_dev: nullable('number'),
+                value: nullable('number', { description: 'Same as mean (for map styling)' }),
+                sign_agreement: nullable('number'),
+                agreement: nullable('boolean')
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  PointResult: {
+    type: 'object',
+    properties: {
+      point: {
+        type: 'object',
+        properties: {
+          id: { description: 'Client-supplied point ID (batch lookups)' },
+          lat: { type: 'number' },
+          lon: { type: 'number' }
+        }
+      },
+      match: nullable('string', { enum: ['contains', 'nearest', null] }),
+      distance_km: { type: 'number', description: '0 when the point is inside the municipality' },
+      municipality: {
+        type: ['object', 'null'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          code: { type: 'string' },
+          province: { type: 'string' },
+          district_code: nullable('string'),
+          district_name: nullable('string')
+        }
+      },
+      data: { oneOf: [ref('ClimateDataRow'), { type: 'null' }] }
+    }
+  },
+  ZonalSummary: {
+    type: 'object',
+    properties: {
+      aoi_area_km2: nullable('number'),
+      covered_area_km2: { type: 'number' },
+      statistic,
+      mode,
+      values: {
+        type: 'object',
+        description: 'Overlap-area-weighted value per index',
+        additionalProperties: nullable('number')
+      },
+      agreement: {
+        type: 'object',
+        description: 'Overlap-area-weighted model sign agreement per index',
+        additionalProperties: true
+      },
+      municipalities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            municipality_name: { type: 'string' },
+            municipality_code: { type: 'string' },
+            province: { type: 'string' },
+            district_code: nullable('string'),
+            district_name: nullable('string'),
+            overlap_km2: { type: 'number' },
+            overlap_fraction: { type: 'number', description: "Share of the AOI's covered area (weights sum to 1)" },
+            municipality_fraction: { type: 'number', description: 'Share of the municipality covered by the AOI' }
+          },
+          additionalProperties: true
+        }
+      }
+    }
+  },
+  RiskScore: {
+    type: 'object',
+    properties: {
+      municipality_id: { type: 'integer' },
+      municipality_name: { type: 'string' },
+      municipality_code: { type: 'string' },
+      province: { type: 'string' },
+      district_code: nullable('string'),
+      district_name: nullable('string'),
+      overall_score: nullable('number'),
+      overall_rank: nullable('integer'),
+      hazards: {
+        type: 'object',
+        description: 'Sub-score and rank per hazard (heat, drought, flood, cold)',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            score: nullable('number'),
+            rank: nullable('integer')
+          }
+        }
+      }
+    }
+  },
+  RiskFeatureCollection: {
+    type: 'object',
+    required: ['type', 'features'],
+    properties: {
+      type: { type: 'string', const: 'FeatureCollection' },
+      features: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'geometry', 'properties'],
+          properties: {
+            type: { type: 'string', const: 'Feature' },
+            id: { type: 'integer' },
+            geometry: ref('Geometry'),
+            properties: {
+              type: 'object',
+              description: 'RiskScore fields with the hazards flattened to <hazard>_score and <hazard>_rank',
+              properties: {
+                id: { type: 'integer' },
+                municipality_name: { type: 'string' },
+                overall_score: nullable('number'),
+                overall_rank: nullable('integer'),
+                scenario,
+                period,
+                method: { type: 'string' }
+              },
+              additionalProperties: true
+            }
+          }
+        }
+      }
+    }
+  },
+  Scenario: {
+    type: 'object',
+    properties: {
+      scenario,
+      name: { type: 'string', example: 'SSP2-4.5' },
+      description: { type: 'string' }
+    }
+  },
+  Period: {
+    type: 'object',
+    properties: {
+      period,
+      label: { type: 'string', example: 'near-term' },
+      period_start: { type: 'integer' },
+      period_end: { type: 'integer' }
+    }
+  },
+  PageLinks: {
+    type: 'object',
+    required: ['self', 'next', 'prev'],
+    properties: {
+      self: { type: 'string', example: '/municipalities?limit=50&offset=50' },
+      next: nullable('string'),
+      prev: nullable('string')
+    }
+  },
+  CoverageEntry: {
+    type: 'object',
+    properties: {
+      scenario,
+      period,
+      index_code: { type: 'string' },
+      row_count: { type: 'integer' },
+      null_count: { type: 'integer' }
+    }
+  }
+};
+
+export const OPERATIONS = {
+  // --------------------------------------------------------------------------
+  // Municipalities
+  // --------------------------------------------------------------------------
+  'GET /municipalities': {
+    summary: 'List municipalities',
+    description: 'Paginated with limit/offset; sort takes comma-separated columns (prefix "-" for ' +
+      'descending) and fields selects the columns returned.',
+    response: page(ref('Municipality')),
+    csv: true
+  },
+  'GET /municipalities/search': {
+    summary: 'Search municipalities by name, code, district or province',
+    description: 'Accent-insensitive and typo-tolerant (trigram similarity), ranked best first. ' +
+      'prefix=true matches word prefixes only, for typeahead.',
+    response: list(ref('MunicipalitySearchResult'), {
+      query: { type: 'string' },
+      prefix: { type: 'boolean' }
+    })
+  },
+  'GET /municipalities/{id}': {
+    summary: 'Get a municipality with its geometry',
+    response: envelope({ data: ref('MunicipalityDetail') }),
+    csv: true,
+    errors: [404]
+  },
+  'GET /municipalities/{id}/sector-risk/{sector}': {
+    summary: 'Get a sector risk profile across every scenario and period',
+    description: 'Scores the indices tagged with the sector (plus those tagged "All") against all municipalities, ' +
+      'using the requested ensemble statistic and value mode.',
+    response: envelope({
+      municipality: ref('MunicipalityRef'),
+      sector: { type: 'object', properties: { code: { type: 'string' }, name: { type: 'string' } } },
+      method: { type: 'string' },
+      statistic,
+      mode,
+      indices: { type: 'array', items: { type: 'string' } },
+      count: { type: 'integer' },
+      profile: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }),
+    errors: [404]
+  },
+  'GET /municipalities/province/{province}': {
+    summary: 'List the municipalities of a province',
+    response: page(ref('Municipality'), { province: { type: 'string' } }),
+    csv: true
+  },
+  'GET /municipalities/district/{districtCode}': {
+    summary: 'List the municipalities of a district',
+    response: list(ref('Municipality'), {
+      district_code: { type: 'string' },
+      district_name: { type: 'string' }
+    }),
+    csv: true,
+    errors: [404]
+  },
+  'GET /municipalities/stats/summary': {
+    summary: 'Get municipality counts and areas',
+    response: envelope({
+      summary: { type: 'object', additionalProperties: true },
+      by_province: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      top_districts: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    })
+  },
+
+  // --------------------------------------------------------------------------
+  // Climate data
+  // --------------------------------------------------------------------------
+  'GET /climate-data/at': {
+    summary: 'Get climate data for the municipality containing a coordinate',
+    description: 'Points outside every municipality fall back to the nearest one (match: nearest, with distance_km).',
+    response: {
+      allOf: [
+        envelope({ scenario, period, statistic, mode }),
+        ref('PointResult')
+      ]
+    },
+    errors: [404]
+  },
+  'POST /climate-data/at': {
+    summary: 'Look up climate data for a batch of points',
+    description: 'Returns one result per point, in input order.',
+    response: envelope({
+      scenario,
+      period,
+      statistic,
+      mode,
+      count: { type: 'integer' },
+      results: { type: 'array', items: ref('PointResult') }
+    }),
+    errors: [413]
+  },
+  'POST /climate-data/zonal': {
+    summary: 'Summarise all indices over a custom polygon',
+    description: 'The geometry may be a GeoJSON Polygon, MultiPolygon, Feature or single-feature ' +
+      'FeatureCollection in EPSG:4326. Values are weighted by overlap area.',
+    response: {
+      allOf: [
+        envelope({ scenario, period, weighting: { type: 'string', const: 'overlap_area' } }),
+        ref('ZonalSummary')
+      ]
+    },
+    errors: [404]
+  },
+  'GET /climate-data/export/{scenario}/{period}': {
+    summary: 'Export a scenario/period slice for all municipalities',
+    description: 'CSV is streamed in batches. gpkg (GeoPackage) and shp (zipped Shapefile) attach the ' +
+      'index columns to municipality polygons; they need the optional gdal-async dependency and return 501 ' +
+      'where it is not installed.',
+    content: {
+      'text/csv': { schema: { type: 'string' } },
+      'application/geopackage+sqlite3': { schema: { type: 'string', format: 'binary' } },
+      'application/zip': { schema: { type: 'string', format: 'binary' } }
+    },
+    errors: [501]
+  },
+  'GET /climate-data/scenarios': {
+    summary: 'List scenarios with climate data',
+    response: envelope({ count: { type: 'integer' }, scenarios: { type: 'array', items: ref('Scenario') } })
+  },
+  'GET /climate-data/periods': {
+    summary: 'List projection periods',
+    response: envelope({ count: { type: 'integer' }, periods: { type: 'array', items: ref('Period') } })
+  },
+  'GET /climate-data/{municipalityId}': {
+    summary: 'Get all scenarios and periods for a municipality',
+    response: list(ref('ClimateDataRow'), {
+      municipality: ref('MunicipalityRef'),
+      statistic,
+      mode
+    }),
+    csv: true,
+    errors: [404]
+  },
+  'GET /climate-data/{municipalityId}/compare': {
+    summary: 'Compare indices across scenarios and periods for a municipality',
+    description: 'Returns a matrix keyed by index → scenario → period, with the spread between the ' +
+      'lowest and highest scenario per period.',
+    response: envelope({
+      municipality: ref('MunicipalityRef'),
+      statistic,
+      mode,
+      scenarios: { type: 'array', items: { type: 'string' } },
+      periods: { type: 'array', items: ref('Period') },
+      indices: { type: 'object', additionalProperties: { type: 'object', additionalProperties: true } }
+    }),
+    errors: [404]
+  },
+  'GET /climate-data/{municipalityId}/values': {
+    summary: "Get a municipality's values in long format",
+    response: list(ref('ClimateValue'), {
+      municipality_id: { type: 'integer' },
+      statistic,
+      mode
+    }),
+    csv: true,
+    errors: [404]
+  },
+  'GET /climate-data/{municipalityId}/{scenario}/{period}': {
+    summary: 'Get one scenario and period for a municipality',
+    response: envelope({ mode, data: ref('ClimateDataRow') }),
+    csv: true,
+    errors: [404]
+  },
+  'GET /climate-data/values/{scenario}/{period}/{index}': {
+    summary: "Rank all municipalities by one index's value",
+    response: list(ref('ClimateValue'), {
+      scenario,
+      period,
+      index_code: { type: 'string' },
+      statistic,
+      mode
+    }),
+    csv: true,
+    errors: [404]
+  },
+  'GET /climate-data/geojson/{scenario}/{period}/{index}': {
+    summary: 'Get municipality polygons with one index as GeoJSON',
+    description: 'simplify (or zoom) selects a precomputed, gap-free simplification level.',
+    response: ref('ClimateFeatureCollection'),
+    errors: [404]
+  },
+  'GET /climate-data/tiles/{scenario}/{period}/{index}/{z}/{x}/{y}.mvt': {
+    summary: 'Get a Mapbox Vector Tile with one index',
+    description: 'Layer "municipalities" with the same properties as the GeoJSON endpoint. ' +
+      'Empty tiles are answered with 204 No Content.',
+    content: {
+      'application/vnd.mapbox-vector-tile': { schema: { type: 'string', format: 'binary' } }
+    },
+    noContent: true
+  },
+  'GET /climate-data/aggregate/{level}/{scenario}/{period}/{index}': {
+    summary: 'Get area-weighted index statistics per district or province',
+    response: list(ref('AggregateRow'), {
+      level: { type: 'string' },
+      scenario,
+      period,
+      index_code: { type: 'string' },
+      statistic,
+      mode,
+      weighting: { type: 'string', const: 'area_km2' }
+    }),
+    csv: true,
+    errors: [404]
+  },
+  'GET /climate-data/aggregate/{level}/{scenario}/{period}/{index}/geojson': {
+    summary: 'Get dissolved district or province polygons with index statistics as GeoJSON',
+    response: ref('AggregateFeatureCollection'),
+    errors: [404]
+  },
+
+  // --------------------------------------------------------------------------
+  // Indices
+  // --------------------------------------------------------------------------
+  'GET /indices': {
+    summary: 'List active climate indices',
+    description: 'Paginated with limit/offset; sector matches one code of the comma-separated sector list.',
+    response: page(ref('ClimateIndex'))
+  },
+  'GET /indices/sectors': {
+    summary: 'Explain the sector codes used by climate indices',
+    response: envelope({
+      sectors: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      usage: { type: 'object', additionalProperties: true }
+    })
+  },
+  'GET /indices/color-schemes': {
+    summary: 'Explain the color schemes and palette types for mapping',
+    response: envelope({
+      explanation: { type: 'object', additionalProperties: true },
+      palette_types: { type: 'object', additionalProperties: true },
+      color_schemes: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      implementation_guide: { type: 'object', additionalProperties: true }
+    })
+  },
+  'GET /indices/{code}': {
+    summary: 'Get a climate index',
+    response: envelope({ data: ref('ClimateIndex') }),
+    errors: [404]
+  },
+  'GET /indices/category/{category}': {
+    summary: 'List the active indices of a category',
+    response: list(ref('ClimateIndex'), { category: { type: 'string' } }),
+    errors: [404]
+  },
+  'GET /indices/stats/categories': {
+    summary: 'Group active indices by category',
+    response: envelope({ categories: { type: 'array', items: { type: 'object', additionalProperties: true } } })
+  },
+  'GET /indices/stats/summary': {
+    summary: 'Get index counts by category and risk direction',
+    response: envelope({ summary: { type: 'object', additionalProperties: true } })
+  },
+  'GET /indices/stats/by-sector': {
+    summary: 'Group active indices by sector',
+    response: envelope({
+      by_sector: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      sector_reference: { type: 'object', additionalProperties: { type: 'string' } }
+    })
+  },
+  'POST /indices/refresh': {
+    summary: 'Reload the index registry from climate_indices',
+    description: 'Bumps the climate_indices data version, so every API instance reloads its registry and ' +
+      'invalidates its cached responses. Returns 503 when data versioning is not set up.',
+    response: envelope({
+      registry: { type: 'object', additionalProperties: true },
+      activated: { type: 'array', items: { type: 'string' } },
+      deactivated: { type: 'array', items: { type: 'string' } },
+      data_version: { type: 'integer' }
+    }),
+    errors: [503],
+    admin: true
+  },
+
+  // --------------------------------------------------------------------------
+  // Risk
+  // --------------------------------------------------------------------------
+  'GET /risk/{scenario}/{period}': {
+    summary: 'Get composite risk scores and ranks for all municipalities',
+    description: 'weights takes index weights such as cdd:2,wsdi:0.5 (default 1; 0 excludes an index).',
+    response: list(ref('RiskScore'), {
+      scenario,
+      period,
+      method: { type: 'string' },
+      weights: { type: 'object', additionalProperties: { type: 'number' } },
+      hazards: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+    }),
+    errors: [404]
+  },
+  'GET /risk/{scenario}/{period}/geojson': {
+    summary: 'Get composite risk scores as GeoJSON',
+    response: ref('RiskFeatureCollection'),
+    errors: [404]
+  },
+
+  // --------------------------------------------------------------------------
+  // Catalog
+  // --------------------------------------------------------------------------
+  'GET /catalog': {
+    summary: 'Describe the available scenarios, periods, indices, boundary sets and coverage',
+    response: envelope({
+      baseline_period: { type: 'string', example: '1995-2014' },
+      scenarios: { type: 'array', items: ref('Scenario') },
+      periods: { type: 'array', items: ref('Period') },
+      indices: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      statistics: { type: 'array', items: { type: 'string' } },
+      modes: { type: 'array', items: { type: 'string' } },
+      boundary_sets: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      coverage: {
+        type: 'object',
+        properties: {
+          expected_rows: { type: 'integer' },
+          matrix: { type: 'array', items: ref('CoverageEntry') }
+        }
+      }
+    })
+  },
+  'GET /catalog/coverage': {
+    summary: 'Get row and NULL counts per scenario, period and index',
+    response: list(ref('CoverageEntry')),
+    csv: true
+  },
+
+  // --------------------------------------------------------------------------
+  // Cache
+  // --------------------------------------------------------------------------
+  'GET /cache/stats': {
+    summary: 'Get cache size, evictions and hit rates',
+    response: envelope({ stats: { type: 'object', additionalProperties: true } }),
+    admin: true
+  },
+  'GET /cache/keys': {
+    summary: 'List cached keys with expiry',
+    response: envelope({
+      count: { type: 'integer' },
+      keys: { type: 'array', items: { type: 'object', additionalProperties: true } }
+    }),
+    admin: true
+  },
+  'POST /cache/clear': {
+    summary: 'Remove all cached responses',
+    response: envelope({ cleared: { type: 'integer' } }),
+    admin: true
+  },
+  'POST /cache/invalidate': {
+    summary: 'Remove cached responses matching a key pattern',
+    description: 'The pattern (e.g. GET:/climate-data/geojson/ssp585/*) is read from the JSON body or the query string.',
+    requestBody: {
+      type: 'object',
+      properties: { pattern: { type: 'string', maxLength: 200, example: 'GET:/climate-data/geojson/ssp585/*' } }
+    },
+    response: envelope({
+      pattern: { type: 'string' },
+      invalidated: { type: 'integer' }
+    }),
+    admin: true
+  }
+};
+
+export default {
+  OPENAPI_INFO,
+  TAGS,
+  COMPONENT_SCHEMAS,
+  OPERATIONS
+};
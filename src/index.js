@@ -12,10 +12,22 @@ import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 
 import { testConnection } from './config/database.js';
+import cache from './middleware/cache.js';
+import { requestId, REQUEST_ID_HEADER } from './middleware/request-id.js';
+import { notFoundHandler, errorHandler } from './middleware/problem.js';
+import cacheWarmingService from './services/cache-warming.js';
+import { createCacheStore } from './services/cache-store.js';
+import { dataVersionWatcher } from './services/data-version.js';
+import { indexRegistry } from './services/index-registry.js';
+import { buildOpenApiSpec } from './services/openapi.js';
 
 import municipalitiesRoutes from './routes/municipalities.js';
 import climateDataRoutes from './routes/climate-data.js';
 import indicesRoutes from './routes/indices.js';
+import riskRoutes from './routes/risk.js';
+import cacheRoutes from './routes/cache.js';
+import catalogRoutes from './routes/catalog.js';
+import docsRoutes from './routes/docs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,23 +43,31 @@ const PORT = process.env.PORT || 4002;
 // MIDDLEWARE
 // ============================================================================
 
+// Correlation ID first, so every log line and error response carries it
+app.use(requestId);
+
 app.use(helmet());
 
 // CORS - allow requests from any origin (adjust in production)
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', REQUEST_ID_HEADER],
+  exposedHeaders: [REQUEST_ID_HEADER]
 }));
 
 
+morgan.token('id', (req) => req.id);
+
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 } else {
-  app.use(morgan('combined'));
+  // Apache combined format plus the request ID
+  app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :id'));
 }
 
-app.use(express.json());
+// Larger JSON limit for batch point lookups (up to 5,000 points)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // ============================================================================
@@ -59,7 +79,10 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    cacheWarming: cacheWarmingService.getStatus(),
+    dataVersion: dataVersionWatcher.getStatus(),
+    indexRegistry: indexRegistry.getStatus()
   });
 });
 
@@ -72,9 +95,14 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       municipalities: '/municipalities',
+      search: '/municipalities/search?q=',
       climateData: '/climate-data',
-      geojson: '/geojson/:scenario/:period/:index',
+      catalog: '/catalog',
+      geojson: '/climate-data/geojson/:scenario/:period/:index',
+      tiles: '/climate-data/tiles/:scenario/:period/:index/:z/:x/:y.mvt',
       indices: '/indices',
+      risk: '/risk/:scenario/:period',
+      openapi: '/openapi.json',
       docs: '/docs'
     },
     documentation: 'https://github.com/yourusername/climate-risk-tool-api'
@@ -82,33 +110,29 @@ app.get('/', (req, res) => {
 });
 
 
-app.use('/municipalities', municipalitiesRoutes);
-app.use('/climate-data', climateDataRoutes);
-app.use('/indices', indicesRoutes);
+// OpenAPI document (built from the routers, so it lists the active indices)
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec());
+});
 
+// Swagger UI, served from the bundled swagger-ui-dist assets
+app.use('/docs', docsRoutes);
 
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.url} not found`,
-    availableEndpoints: [
-      'GET /health',
-      'GET /municipalities',
-      'GET /climate-data',
-      'GET /indices'
-    ]
-  });
-});
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
+// Cached routes (GET responses with tiered TTLs and ETags)
+app.use('/municipalities', cache.middleware(), municipalitiesRoutes);
+app.use('/climate-data', cache.middleware(), climateDataRoutes);
+app.use('/indices', cache.middleware(), indicesRoutes);
+app.use('/risk', cache.middleware(), riskRoutes);
+app.use('/catalog', cache.middleware(), catalogRoutes);
 
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal Server Error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+// Cache management (admin token required)
+app.use('/cache', cacheRoutes);
+
+
+// Unmatched routes and errors are answered with application/problem+json
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // ============================================================================
 // SERVER STARTUP
@@ -119,6 +143,28 @@ async function startServer() {
     console.log('Testing database connection...');
     await testConnection();
 
+    // Climate indices known to the API (validation, warming, exports)
+    await indexRegistry.load();
+    console.log(`✓ Index registry: ${indexRegistry.activeCodes().length} active climate indices`);
+
+    // Shared (Redis) or in-memory response cache
+    await cache.useStore(await createCacheStore());
+
+    // Drop stale responses and re-warm when an ETL run bumps the data version
+    await dataVersionWatcher.start(async ({ version, previous }) => {
+      cache.setDataVersion(version);
+      if (previous === null) {
+        console.log(`Data version: v${version}`);
+        return;
+      }
+
+      // The ETL may have added, changed or (de)activated indices
+      await indexRegistry.load();
+      const removed = await cache.invalidate('*');
+      console.log(`🔖 Data version v${previous} → v${version}: invalidated ${removed} cached responses`);
+      cacheWarmingService.rewarm(cache);
+    });
+
     app.listen(PORT, () => {
       console.log('='.repeat(60));
       console.log(`Climate Risk Tool API Server`);
@@ -128,6 +174,9 @@ async function startServer() {
       console.log(`API URL: http://localhost:${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/health`);
       console.log('='.repeat(60));
+
+      // Warm the cache in the background once the server is accepting requests
+      cacheWarmingService.start(cache);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -140,10 +189,14 @@ startServer();
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  cacheWarmingService.stop();
+  dataVersionWatcher.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT signal received: closing HTTP server');
+  cacheWarmingService.stop();
+  dataVersionWatcher.stop();
   process.exit(0);
 });
@@ -0,0 +1,40 @@
+/**
+ * Admin Authentication Middleware
+ * Protects management endpoints with a shared token (ADMIN_TOKEN)
+ * Clients send it as "Authorization: Bearer <token>"
+ */
+
+import crypto from 'crypto';
+import { sendProblem } from './problem.js';
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Express middleware requiring the admin token
+ * Admin endpoints are disabled entirely when ADMIN_TOKEN is not set
+ */
+export function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+
+  if (!token) {
+    return sendProblem(res, 403, 'admin_disabled', 'Admin endpoints are disabled (ADMIN_TOKEN not configured)');
+  }
+
+  const header = req.headers.authorization || '';
+  const [scheme, provided] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !provided || !safeEqual(provided, token)) {
+    return sendProblem(res, 401, 'invalid_admin_token', 'Invalid or missing admin token');
+  }
+
+  next();
+}
+
+export default requireAdminToken;
@@ -1,60 +1,161 @@
 /**
  * Enhanced In-Memory Cache Middleware
  * Caches GET requests with tiered TTL, ETags, and Cache-Control headers
+ *
+ * Entries are held by a pluggable store (see services/cache-store.js): an
+ * in-process LRU store by default, or a shared Redis store across instances.
+ *
+ * Once the data version is known (see services/data-version.js), ETags derive
+ * from it and entries cached under an older version are treated as misses.
+ *
+ * Entries hold the serialised body plus gzip and brotli variants made once when
+ * cached, so hits are sent as-is without re-stringifying or re-compressing.
  */
 
 import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { resolveGeometryOptions } from '../config/geometry.js';
+import { resolveStatistic, resolveValueMode } from '../config/climate.js';
+import { wantsCsv } from '../services/csv-export.js';
+import { normaliseListQuery } from '../services/list-query.js';
+import { MemoryStore } from '../services/cache-store.js';
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+const JSON_CONTENT_TYPE = 'application/json; charset=utf-8';
+
+// Bodies smaller than this are sent uncompressed (not worth the overhead)
+const COMPRESSION_MIN_BYTES = 1024;
+
+// Brotli quality 11 (the default) is too slow for multi-megabyte GeoJSON;
+// 5 is still smaller than gzip at a fraction of the CPU
+const BROTLI_QUALITY = 5;
+
+// Encodings in order of preference when the client accepts several equally
+const ENCODINGS = ['br', 'gzip'];
+
+// Paginated list endpoints (see services/list-query.js)
+const LIST_PATHS = [
+  /^\/municipalities\/?$/,
+  /^\/municipalities\/province\/[^/]+\/?$/,
+  /^\/indices\/?$/
+];
 
 class InMemoryCache {
   constructor(options = {}) {
-    this.cache = new Map();
+    this.store = options.store || new MemoryStore({ maxBytes: options.maxBytes });
     this.ttl = options.ttl || 3600000; // Default: 1 hour in milliseconds
-    this.maxSize = options.maxSize || 100; // Maximum number of cached items
+    this.dataVersion = null; // Set from public.data_versions; null falls back to content hashes
     this.hits = 0;
     this.misses = 0;
+    this.familyStats = new Map(); // Hit/miss counts per route family
 
     // Tiered TTL settings (in milliseconds)
     this.ttlSettings = {
       metadata: 7 * 24 * 60 * 60 * 1000,    // 7 days for indices, sectors, color-schemes
       geojson: 30 * 24 * 60 * 60 * 1000,    // 30 days for GeoJSON climate data
+      tiles: 30 * 24 * 60 * 60 * 1000,      // 30 days for vector tiles (same source data as GeoJSON)
       municipalities: 7 * 24 * 60 * 60 * 1000, // 7 days for municipality data
       health: 60 * 60 * 1000,                // 1 hour for health/stats
       default: 3600000                       // 1 hour default
     };
   }
 
+  /**
+   * Replace the backing store (e.g. with a RedisStore at startup)
+   */
+  async useStore(store) {
+    const previous = this.store;
+    this.store = store;
+    await previous.close();
+  }
+
   /**
    * Generate cache key from request
+   * GeoJSON keys use the resolved simplification level, precision, statistic and mode,
+   * so equivalent requests (e.g. ?zoom=4 and ?simplify=low) share one entry;
+   * list keys use the normalised query (sorted parameters, no zero offset)
    */
   generateKey(req) {
+    const [path] = req.originalUrl.split('?');
+
+    if (path.includes('/climate-data/geojson/')) {
+      const { level, precision, error } = resolveGeometryOptions(req.query);
+      const { statistic } = resolveStatistic(req.query.statistic);
+      const { mode } = resolveValueMode(req.query.mode);
+      if (!error && statistic && mode) {
+        return `${req.method}:${path}?simplify=${level}&precision=${precision}&statistic=${statistic}&mode=${mode}`;
+      }
+    }
+
+    if (LIST_PATHS.some(pattern => pattern.test(path))) {
+      const search = normaliseListQuery(req.query);
+      return `${req.method}:${path}${search ? `?${search}` : ''}`;
+    }
+
     return `${req.method}:${req.originalUrl}`;
   }
 
+  /**
+   * Serialise data to the bytes that are sent (binary payloads such as vector tiles are left as-is)
+   */
+  serialize(data) {
+    return Buffer.isBuffer(data) ? data : Buffer.from(JSON.stringify(data));
+  }
+
   /**
    * Generate ETag from data
+   * Binary payloads (e.g. vector tiles) are hashed directly
    */
   generateETag(data) {
-    const content = JSON.stringify(data);
-    return crypto.createHash('md5').update(content).digest('hex');
+    return crypto.createHash('md5').update(this.serialize(data)).digest('hex');
   }
 
   /**
-   * Determine TTL based on URL pattern
+   * Set the current data version (entries from other versions become stale)
    */
-  determineTTL(url) {
-    if (url.includes('/indices')) {
-      return this.ttlSettings.metadata;
+  setDataVersion(version) {
+    this.dataVersion = version;
+  }
+
+  /**
+   * Generate ETag for a cache key under the current data version
+   * The body only changes when the data does, so there is no need to hash it
+   */
+  versionETag(key) {
+    const keyHash = crypto.createHash('md5').update(key).digest('hex').slice(0, 16);
+    return `v${this.dataVersion}-${keyHash}`;
+  }
+
+  /**
+   * Determine tier based on URL (or cache key) pattern
+   */
+  determineTier(url) {
+    if (url.includes('/indices') || url.includes('/catalog')) {
+      return 'metadata';
     }
     if (url.includes('/climate-data/geojson/')) {
-      return this.ttlSettings.geojson;
+      return 'geojson';
+    }
+    if (url.includes('/climate-data/tiles/')) {
+      return 'tiles';
     }
     if (url.includes('/municipalities')) {
-      return this.ttlSettings.municipalities;
+      return 'municipalities';
     }
     if (url.includes('/health')) {
-      return this.ttlSettings.health;
+      return 'health';
     }
-    return this.ttlSettings.default;
+    return 'default';
+  }
+
+  /**
+   * Determine TTL based on URL pattern
+   */
+  determineTTL(url) {
+    return this.ttlSettings[this.determineTier(url)];
   }
 
   /**
@@ -66,69 +167,276 @@ class InMemoryCache {
   }
 
   /**
-   * Get item from cache
+   * Determine route family from a cache key (e.g. "climate-data/geojson", "indices")
    */
-  get(key) {
-    const item = this.cache.get(key);
+  routeFamily(key) {
+    const path = key.slice(key.indexOf(':') + 1).split('?')[0];
+    const [first = '', second] = path.split('/').filter(Boolean);
 
-    if (!item) {
-      this.misses++;
-      return null;
+    if (first === 'climate-data' && ['geojson', 'tiles', 'aggregate', 'export', 'at', 'values'].includes(second)) {
+      return `${first}/${second}`;
+    }
+    return first || 'root';
+  }
+
+  /**
+   * Record a hit or miss, overall and for the key's route family
+   */
+  recordAccess(key, hit) {
+    const family = this.routeFamily(key);
+    if (!this.familyStats.has(family)) {
+      this.familyStats.set(family, { hits: 0, misses: 0 });
     }
 
-    // Check if expired
-    if (Date.now() > item.expiresAt) {
-      this.cache.delete(key);
+    const stats = this.familyStats.get(family);
+    if (hit) {
+      this.hits++;
+      stats.hits++;
+    } else {
       this.misses++;
+      stats.misses++;
+    }
+  }
+
+  /**
+   * Get item from cache
+   */
+  async get(key) {
+    const item = await this.store.get(key);
+
+    if (!item || Date.now() > item.expiresAt || item.version !== this.dataVersion) {
+      this.recordAccess(key, false);
       return null;
     }
 
-    this.hits++;
+    this.recordAccess(key, true);
     return item;
   }
 
   /**
-   * Set item in cache
+   * Build a cache entry (body and ETag are computed once, here)
+   * Compressed variants are added by compressEntry()
    */
-  set(key, data, customTtl = null) {
-    // If cache is full, remove oldest entry (LRU-style)
-    if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-
+  createEntry(key, data, customTtl = null, contentType = JSON_CONTENT_TYPE) {
+    const body = this.serialize(data);
     const ttl = customTtl || this.ttl;
-    const etag = this.generateETag(data);
 
-    this.cache.set(key, {
-      data,
-      etag,
+    return {
+      body,
+      encodings: {},
+      contentType,
+      etag: this.dataVersion === null
+        ? crypto.createHash('md5').update(body).digest('hex')
+        : this.versionETag(key),
+      version: this.dataVersion,
+      tier: this.determineTier(key),
+      size: body.length,
       expiresAt: Date.now() + ttl,
       createdAt: Date.now()
+    };
+  }
+
+  /**
+   * Add gzip and brotli variants to an entry
+   * Runs on the libuv thread pool, so large payloads don't block requests
+   */
+  async compressEntry(entry) {
+    if (entry.body.length < COMPRESSION_MIN_BYTES) {
+      return entry;
+    }
+
+    const [br, gz] = await Promise.all([
+      brotliCompress(entry.body, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: entry.body.length
+        }
+      }),
+      gzip(entry.body)
+    ]);
+
+    // Keep only variants that are actually smaller (e.g. already-dense tiles)
+    for (const [encoding, variant] of [['br', br], ['gzip', gz]]) {
+      if (variant.length < entry.body.length) {
+        entry.encodings[encoding] = variant;
+        entry.size += variant.length;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Compress an entry and write it to the store
+   * @returns {Promise<Object|null>} Stored item, or null if the store rejected it
+   */
+  async storeEntry(key, entry) {
+    await this.compressEntry(entry);
+    return (await this.store.set(key, entry)) ? entry : null;
+  }
+
+  /**
+   * Store an entry without holding up the response it was built for
+   */
+  storeInBackground(key, entry) {
+    this.storeEntry(key, entry).catch(error => {
+      console.error('Cache write failed:', error.message);
+    });
+  }
+
+  /**
+   * Set item in cache
+   * @returns {Promise<Object|null>} Stored item, or null if the store rejected it
+   */
+  async set(key, data, customTtl = null, contentType = JSON_CONTENT_TYPE) {
+    return this.storeEntry(key, this.createEntry(key, data, customTtl, contentType));
+  }
+
+  /**
+   * ETag for an encoded variant (each encoding is a different representation)
+   */
+  variantETag(etag, encoding) {
+    return encoding === 'identity' ? etag : `${etag}-${encoding}`;
+  }
+
+  /**
+   * Check an If-None-Match header against an entry's ETag (any encoding variant)
+   */
+  matchesETag(header, etag) {
+    if (!header) {
+      return false;
+    }
+
+    return header.split(',').some(candidate => {
+      const value = candidate.trim().replace(/^W\//, '').replace(/"/g, '');
+      return value === '*' || ['identity', ...ENCODINGS].some(
+        encoding => value === this.variantETag(etag, encoding)
+      );
     });
   }
 
+  /**
+   * Choose the best encoding the client accepts and the entry has
+   */
+  selectEncoding(req, entry) {
+    const available = ENCODINGS.filter(encoding => entry.encodings[encoding]);
+    if (available.length === 0) {
+      return 'identity';
+    }
+
+    const encoding = req.acceptsEncodings([...available, 'identity']);
+    return available.includes(encoding) ? encoding : 'identity';
+  }
+
+  /**
+   * Send a cached entry in the encoding chosen by Accept-Encoding
+   */
+  sendEntry(req, res, entry) {
+    const encoding = this.selectEncoding(req, entry);
+    const body = encoding === 'identity' ? entry.body : entry.encodings[encoding];
+
+    res.vary('Accept-Encoding');
+    res.setHeader('ETag', this.variantETag(entry.etag, encoding));
+    res.setHeader('Content-Type', entry.contentType);
+    if (encoding !== 'identity') {
+      res.setHeader('Content-Encoding', encoding);
+    }
+    res.setHeader('Content-Length', body.length);
+    return res.end(body);
+  }
+
+  /**
+   * Remove a single entry
+   * @returns {Promise<boolean>} Whether an entry was removed
+   */
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
   /**
    * Clear all cache
+   * Keeps the data version: it is only updated by the version watcher when the
+   * data changes, and other instances sharing the store still use it
+   * @returns {Promise<number>} Number of entries removed
    */
-  clear() {
-    this.cache.clear();
+  async clear() {
     this.hits = 0;
     this.misses = 0;
+    this.familyStats.clear();
+    return this.store.clear();
+  }
+
+  /**
+   * Remove entries whose key matches a pattern
+   * Patterns use * as a wildcard (e.g. "GET:/climate-data/geojson/ssp585/*");
+   * without a wildcard, any key containing the pattern matches
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidate(pattern) {
+    return this.store.deleteMatching(this.patternToRegExp(pattern));
+  }
+
+  /**
+   * Convert an invalidation/search pattern to a RegExp
+   */
+  patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return pattern.includes('*')
+      ? new RegExp(`^${escaped.replace(/\*/g, '.*')}$`)
+      : new RegExp(escaped);
+  }
+
+  /**
+   * List cached keys with expiry details (optionally filtered by pattern)
+   */
+  async getKeys(pattern = null) {
+    const matcher = pattern ? this.patternToRegExp(pattern) : null;
+    const now = Date.now();
+    const entries = await this.store.list(matcher);
+
+    return entries
+      .map(([key, item]) => ({
+        key,
+        family: this.routeFamily(key),
+        tier: item.tier,
+        bytes: item.size,
+        encodings: ['identity', ...Object.keys(item.encodings)],
+        etag: item.etag,
+        createdAt: new Date(item.createdAt).toISOString(),
+        expiresAt: new Date(item.expiresAt).toISOString(),
+        expiresInSeconds: Math.max(0, Math.floor((item.expiresAt - now) / 1000))
+      }));
+  }
+
+  /**
+   * Format a hit rate percentage
+   */
+  formatHitRate(hits, misses) {
+    const total = hits + misses;
+    return total > 0 ? ((hits / total) * 100).toFixed(2) + '%' : '0%';
   }
 
   /**
    * Get cache statistics
    */
-  getStats() {
-    const total = this.hits + this.misses;
+  async getStats() {
+    const families = {};
+    for (const [family, { hits, misses }] of this.familyStats) {
+      families[family] = {
+        hits,
+        misses,
+        hitRate: this.formatHitRate(hits, misses)
+      };
+    }
+
+    // Store figures (size, bytes, evictions...) are shared across instances for
+    // shared stores; hit/miss counts are always per instance
     return {
-      size: this.cache.size,
-      maxSize: this.maxSize,
+      ...(await this.store.getStats()),
       hits: this.hits,
       misses: this.misses,
-      hitRate: total > 0 ? ((this.hits / total) * 100).toFixed(2) + '%' : '0%',
-      ttl: this.ttl
+      hitRate: this.formatHitRate(this.hits, this.misses),
+      ttl: this.ttl,
+      families
     };
   }
 
@@ -136,7 +444,7 @@ class InMemoryCache {
    * Express middleware
    */
   middleware() {
-    return (req, res, next) => {
+    return async (req, res, next) => {
       // Only cache GET requests
       if (req.method !== 'GET') {
         return next();
@@ -147,32 +455,53 @@ class InMemoryCache {
         return next();
       }
 
+      // Vector tiles are binary and cached by the tile route itself
+      if (req.originalUrl.includes('/climate-data/tiles/')) {
+        return next();
+      }
+
+      // CSV responses are streamed, and must not be served a cached JSON body
+      if (wantsCsv(req)) {
+        return next();
+      }
+
+      // JSON and CSV share a URL, and cached hits are compressed, so shared
+      // caches must key on Accept and Accept-Encoding
+      res.vary('Accept');
+      res.vary('Accept-Encoding');
+
       const key = this.generateKey(req);
-      const cachedItem = this.get(key);
+
+      // A store outage (e.g. Redis down) must not fail the request
+      let cachedItem;
+      try {
+        cachedItem = await this.get(key);
+      } catch (error) {
+        console.error('Cache read failed:', error.message);
+        return next();
+      }
 
       // Determine TTL for this request
       const ttl = this.determineTTL(req.originalUrl);
 
       // Handle cached data with ETag support
       if (cachedItem) {
-        const { data, etag } = cachedItem;
+        const { etag } = cachedItem;
 
         // Check If-None-Match header for ETag
-        const clientETag = req.headers['if-none-match'];
-        if (clientETag === etag) {
+        if (this.matchesETag(req.headers['if-none-match'], etag)) {
           // Client has current version, send 304 Not Modified
           res.setHeader('X-Cache', 'HIT-304');
-          res.setHeader('ETag', etag);
+          res.setHeader('ETag', this.variantETag(etag, this.selectEncoding(req, cachedItem)));
           res.setHeader('Cache-Control', this.getCacheControlHeader(ttl));
           return res.status(304).end();
         }
 
-        // Send cached data with headers
+        // Send pre-serialised (and pre-compressed) body with headers
         res.setHeader('X-Cache', 'HIT');
         res.setHeader('X-Cache-Key', key);
-        res.setHeader('ETag', etag);
         res.setHeader('Cache-Control', this.getCacheControlHeader(ttl));
-        return res.json(data);
+        return this.sendEntry(req, res, cachedItem);
       }
 
       // Store original res.json
@@ -180,16 +509,23 @@ class InMemoryCache {
 
       // Override res.json to cache the response
       res.json = (data) => {
-        // Only cache successful responses
-        if (res.statusCode === 200) {
-          this.set(key, data, ttl);
-          const etag = this.generateETag(data);
-          res.setHeader('ETag', etag);
-        }
         res.setHeader('X-Cache', 'MISS');
         res.setHeader('X-Cache-Key', key);
         res.setHeader('Cache-Control', this.getCacheControlHeader(ttl));
-        return originalJson(data);
+
+        // Only cache successful responses
+        if (res.statusCode !== 200) {
+          return originalJson(data);
+        }
+
+        // Serialise once: the same bytes are sent now and cached (compressed
+        // in the background) for later hits
+        const item = this.createEntry(key, data, ttl);
+        this.storeInBackground(key, item);
+
+        res.setHeader('ETag', item.etag);
+        res.setHeader('Content-Type', item.contentType);
+        return res.send(item.body);
       };
 
       next();
@@ -198,9 +534,10 @@ class InMemoryCache {
 }
 
 // Create singleton instance with enhanced settings
+// The memory store is replaced at startup when CACHE_STORE=redis (see createCacheStore)
 const cache = new InMemoryCache({
   ttl: 3600000,      // Default 1 hour (overridden by tiered TTL)
-  maxSize: 400       // Store up to 400 items (324 GeoJSON combos + metadata endpoints)
+  maxBytes: (parseInt(process.env.CACHE_MAX_MB, 10) || 256) * 1024 * 1024
 });
 
 export default cache;
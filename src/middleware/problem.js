@@ -0,0 +1,149 @@
+/**
+ * Problem Details Middleware
+ * Every error response is an RFC 9457 application/problem+json document:
+ *
+ *   {
+ *     "type": "about:blank",
+ *     "title": "Bad Request",
+ *     "status": 400,
+ *     "code": "validation_failed",
+ *     "detail": "Invalid scenario",
+ *     "instance": "/climate-data/geojson/ssp999/...",
+ *     "correlation_id": "<X-Request-ID>",
+ *     "success": false,
+ *     "error": "Invalid scenario",
+ *     ...extensions (e.g. errors, valid_levels)
+ *   }
+ *
+ * `code` is the machine-readable error code; `success` and `error` keep the
+ * envelope readable by clients written against the earlier { success, error } bodies.
+ */
+
+import { STATUS_CODES } from 'http';
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Error carrying an HTTP status and machine-readable code
+ * Thrown (or passed to next) from routes and rendered by errorHandler
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Machine-readable error code (snake_case)
+   * @param {string} detail - Human-readable explanation
+   * @param {Object} extensions - Extra members for the problem document
+   */
+  constructor(status, code, detail, extensions = {}) {
+    super(detail);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+/**
+ * Send a problem+json response
+ *
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} detail - Human-readable explanation
+ * @param {Object} extensions - Extra members (e.g. { errors }, { valid_formats })
+ */
+export function sendProblem(res, status, code, detail, extensions = {}) {
+  const req = res.req;
+
+  res.status(status);
+  res.type(PROBLEM_CONTENT_TYPE);
+  return res.json({
+    type: 'about:blank',
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    code,
+    detail,
+    instance: req?.originalUrl,
+    correlation_id: req?.id,
+    success: false,
+    error: detail,
+    ...extensions
+  });
+}
+
+/**
+ * Map an error to { status, code, detail, extensions }
+ * Covers ApiError, body-parser failures and PostgreSQL data exceptions
+ */
+function describeError(err) {
+  if (err instanceof ApiError) {
+    return { status: err.status, code: err.code, detail: err.message, extensions: err.extensions };
+  }
+
+  // express.json() failures
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, code: 'invalid_json', detail: 'Request body is not valid JSON' };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, code: 'payload_too_large', detail: 'Request body is too large', extensions: { limit: err.limit } };
+  }
+
+  // SQLSTATE class 22 (data exception) means input slipped past validation
+  if (typeof err.code === 'string' && err.code.startsWith('22') && err.severity) {
+    return { status: 400, code: 'invalid_parameter', detail: 'A parameter has an invalid value' };
+  }
+
+  const status = err.status || err.statusCode || 500;
+  const detail = status < 500 || process.env.NODE_ENV === 'development'
+    ? err.message || 'Internal Server Error'
+    : 'Internal Server Error';
+
+  return { status, code: status < 500 ? 'bad_request' : 'internal_error', detail };
+}
+
+/**
+ * 404 handler for unmatched routes
+ */
+export function notFoundHandler(req, res) {
+  return sendProblem(res, 404, 'route_not_found', `Route ${req.method} ${req.originalUrl} not found`, {
+    availableEndpoints: [
+      'GET /health',
+      'GET /municipalities',
+      'GET /climate-data',
+      'GET /catalog',
+      'GET /indices',
+      'GET /risk/:scenario/:period',
+      'GET /openapi.json',
+      'GET /docs'
+    ]
+  });
+}
+
+/**
+ * Express error handler rendering problem+json
+ */
+export function errorHandler(err, req, res, next) {
+  const { status, code, detail, extensions = {} } = describeError(err);
+
+  if (status >= 500) {
+    console.error(`Error [${req.id}]:`, err);
+  }
+
+  // Streaming responses (e.g. CSV exports) can only be cut off
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+
+  return sendProblem(res, status, code, detail, {
+    ...extensions,
+    ...(process.env.NODE_ENV === 'development' && status >= 500 && { stack: err.stack })
+  });
+}
+
+export default {
+  PROBLEM_CONTENT_TYPE,
+  ApiError,
+  sendProblem,
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,28 @@
+/**
+ * Request ID Middleware
+ * Gives every request a correlation ID, returned in the X-Request-ID header,
+ * included in error responses and logged with the request
+ *
+ * A client- or proxy-supplied X-Request-ID (or X-Correlation-ID) is reused
+ * when it looks like an ID, so one ID can be followed across services.
+ */
+
+import crypto from 'crypto';
+
+// Accepted incoming IDs (UUIDs, ULIDs, trace IDs...)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export const REQUEST_ID_HEADER = 'X-Request-ID';
+
+/**
+ * Express middleware setting req.id and the X-Request-ID response header
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER) || req.get('X-Correlation-ID');
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+  next();
+}
+
+export default requestId;
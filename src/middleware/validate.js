@@ -0,0 +1,254 @@
+/**
+ * Request Validation Middleware
+ * Checks path, query and body parameters against a per-route schema before
+ * the handler runs, so invalid input is rejected with a 400 problem+json
+ * response (code validation_failed) instead of reaching PostgreSQL
+ *
+ *   router.get('/:municipalityId', validate({
+ *     params: { municipalityId: fields.municipalityId },
+ *     query: { statistic: fields.statistic }
+ *   }), handler);
+ *
+ * Field specs:
+ * - type: 'integer' | 'number' | 'string' | 'boolean' | 'list' | 'array' | 'object'
+ *   ('list' is a comma-separated query value, e.g. indices=cdd,wsdi)
+ * - required: reject when missing (path parameters are always present)
+ * - min / max: numeric bounds; minItems / maxItems: list and array lengths
+ * - values: allowed values (an array, or a function for values only known at
+ *   runtime such as active indices), with ignoreCase and a specific error code
+ * - pattern / maxLength: string format
+ * - items: spec for list and array items; properties: specs for object members
+ *
+ * Values are checked, not rewritten: handlers still read req.params, req.query
+ * and req.body (and apply defaults with the resolvers in config/).
+ *
+ * The same schemas describe the route parameters in the OpenAPI document.
+ */
+
+import {
+  VALID_SCENARIOS,
+  VALID_PERIODS,
+  VALID_STATISTICS,
+  VALUE_MODES
+} from '../config/climate.js';
+import {
+  SIMPLIFICATION_LEVELS,
+  FULL_RESOLUTION,
+  MIN_PRECISION,
+  MAX_PRECISION
+} from '../config/geometry.js';
+import { indexRegistry } from '../services/index-registry.js';
+import { sendProblem } from './problem.js';
+
+/**
+ * Field specs shared across routers
+ */
+export const fields = {
+  municipalityId: { type: 'integer', min: 1, label: 'municipality ID' },
+  scenario: { type: 'string', values: VALID_SCENARIOS, code: 'invalid_scenario', label: 'scenario' },
+  period: { type: 'string', values: VALID_PERIODS, code: 'invalid_period', label: 'period' },
+  index: { type: 'string', values: () => indexRegistry.activeCodes(), code: 'invalid_index', label: 'climate index' },
+  statistic: { type: 'string', values: VALID_STATISTICS, ignoreCase: true, code: 'invalid_statistic' },
+  mode: { type: 'string', values: VALUE_MODES, ignoreCase: true, code: 'invalid_mode' },
+  lat: { type: 'number', min: -90, max: 90, required: true },
+  lon: { type: 'number', min: -180, max: 180, required: true }
+};
+
+fields.indices = { type: 'list', items: fields.index };
+fields.scenarios = { type: 'list', items: fields.scenario };
+fields.periods = { type: 'list', items: fields.period };
+
+/**
+ * Geometry query parameters of the GeoJSON endpoints (see config/geometry.js)
+ */
+export const geometryQuery = {
+  simplify: {
+    type: 'string',
+    values: [...Object.keys(SIMPLIFICATION_LEVELS), FULL_RESOLUTION],
+    code: 'invalid_simplify',
+    label: 'simplify level'
+  },
+  zoom: { type: 'integer', min: 0, max: 22, label: 'zoom level' },
+  precision: { type: 'integer', min: MIN_PRECISION, max: MAX_PRECISION }
+};
+
+/**
+ * Whether a value counts as missing ('' is treated like an absent query parameter)
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check a numeric value
+ */
+function checkNumber(spec, value, error) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  const label = spec.label || 'number';
+
+  if (typeof value === 'boolean' || String(value).trim() === '' || !Number.isFinite(number)) {
+    return error('invalid_number', `Invalid ${label} (expected a number)`);
+  }
+  if (spec.type === 'integer' && !Number.isInteger(number)) {
+    return error('invalid_integer', `Invalid ${label} (expected an integer)`);
+  }
+  if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+    const range = spec.max === undefined
+      ? `at least ${spec.min}`
+      : spec.min === undefined ? `at most ${spec.max}` : `between ${spec.min} and ${spec.max}`;
+    return error('out_of_range', `Invalid ${label} (expected ${range})`, { min: spec.min, max: spec.max });
+  }
+  return [];
+}
+
+/**
+ * Check one value against a field spec
+ *
+ * @param {Object} spec - Field spec
+ * @param {*} value - Value to check (not missing)
+ * @param {string} location - 'path', 'query' or 'body'
+ * @param {string} name - Parameter name (e.g. "points[2].lat")
+ * @returns {Array<Object>} Errors ({ in, name, code, detail, ... })
+ */
+function checkValue(spec, value, location, name) {
+  const error = (code, detail, extra = {}) => [{ in: location, name, code, detail, ...extra }];
+  const label = spec.label || name;
+
+  // Repeated query parameters (?a=1&a=2) arrive as arrays
+  if (location === 'query' && typeof value !== 'string') {
+    return error('invalid_type', `${name} must be given once`);
+  }
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      return checkNumber({ label, ...spec }, value, error);
+
+    case 'boolean':
+      if (value === true || value === false || value === 'true' || value === 'false') {
+        return [];
+      }
+      return error('invalid_type', `${name} must be true or false`);
+
+    case 'list': {
+      const items = String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+      if (spec.maxItems !== undefined && items.length > spec.maxItems) {
+        return error('too_many_items', `Too many ${name} (maximum ${spec.maxItems})`, { max: spec.maxItems });
+      }
+      return items.flatMap(item => checkValue(spec.items, item, 'list', name))
+        .map(itemError => ({ ...itemError, in: location }));
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return error('invalid_type', `${name} must be an array`);
+      }
+      if (spec.minItems !== undefined && value.length < spec.minItems) {
+        return error('too_few_items', `${name} must have at least ${spec.minItems} item(s)`, { min: spec.minItems });
+      }
+      if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+        return error('too_many_items', `Too many ${name} (maximum ${spec.maxItems})`, { max: spec.maxItems });
+      }
+      if (!spec.items) {
+        return [];
+      }
+      return value.flatMap((item, position) => checkField(spec.items, item, location, `${name}[${position}]`));
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return error('invalid_type', `${name} must be an object`);
+      }
+      return Object.entries(spec.properties || {}).flatMap(([member, memberSpec]) =>
+        checkField(memberSpec, value[member], location, `${name}.${member}`)
+      );
+    }
+
+    default: {
+      if (typeof value !== 'string') {
+        return error('invalid_type', `${name} must be a string`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return error('invalid_format', `${name} is too long (maximum ${spec.maxLength} characters)`);
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return error('invalid_format', `Invalid ${label} format`);
+      }
+      if (spec.values) {
+        const allowed = typeof spec.values === 'function' ? spec.values() : spec.values;
+        const candidate = spec.ignoreCase ? value.toLowerCase() : value;
+        const matches = spec.ignoreCase
+          ? allowed.some(option => option.toLowerCase() === candidate)
+          : allowed.includes(candidate);
+        if (!matches) {
+          return error(spec.code || 'invalid_value', `Invalid ${label}: ${value}`, { allowed });
+        }
+      }
+      return [];
+    }
+  }
+}
+
+/**
+ * Check a possibly missing value against a field spec
+ */
+function checkField(spec, value, location, name) {
+  if (isMissing(value)) {
+    return spec.required
+      ? [{ in: location, name, code: 'missing_parameter', detail: `${name} is required` }]
+      : [];
+  }
+  return checkValue(spec, value, location, name);
+}
+
+/**
+ * Check every field of one request location
+ */
+function checkLocation(location, specs = {}, values = {}) {
+  return Object.entries(specs).flatMap(([name, spec]) =>
+    checkField(location === 'path' ? { required: true, ...spec } : spec, values[name], location, name)
+  );
+}
+
+/**
+ * Create a validation middleware for a route
+ *
+ * @param {Object} schema - { params, query, body }, each mapping names to field specs
+ * @returns {Function} Express middleware
+ */
+export function validate(schema) {
+  const middleware = (req, res, next) => {
+    const errors = [
+      ...checkLocation('path', schema.params, req.params),
+      ...checkLocation('query', schema.query, req.query)
+    ];
+
+    if (schema.body) {
+      const body = req.body;
+      if (body === undefined || body === null || typeof body !== 'object' || Array.isArray(body)) {
+        errors.push({ in: 'body', name: 'body', code: 'invalid_type', detail: 'Request body must be a JSON object' });
+      } else {
+        errors.push(...checkLocation('body', schema.body, body));
+      }
+    }
+
+    if (errors.length > 0) {
+      const detail = errors.length === 1
+        ? errors[0].detail
+        : `${errors.length} parameters are invalid`;
+      return sendProblem(res, 400, 'validation_failed', detail, { errors });
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI builder (services/openapi.js) to document parameters
+  middleware.schema = schema;
+  return middleware;
+}
+
+export default {
+  fields,
+  geometryQuery,
+  validate
+};
@@ -0,0 +1,100 @@
+/**
+ * Cache Management Routes
+ * Admin endpoints for inspecting and invalidating the response cache
+ * All routes require the admin token (see middleware/admin-auth.js)
+ */
+
+import express from 'express';
+import cache from '../middleware/cache.js';
+import { requireAdminToken } from '../middleware/admin-auth.js';
+import { validate } from '../middleware/validate.js';
+import { sendProblem } from '../middleware/problem.js';
+
+const router = express.Router();
+
+router.use(requireAdminToken);
+
+/**
+ * GET /cache/stats
+ * Get cache statistics, including hit/miss counts per route family
+ */
+router.get('/stats', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      stats: await cache.getStats()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /cache/keys
+ * List cached keys with expiry details
+ * Optional ?pattern= filter (* wildcard, otherwise substring match)
+ */
+router.get('/keys', validate({
+  query: { pattern: { type: 'string', maxLength: 200 } }
+}), async (req, res, next) => {
+  try {
+    const keys = await cache.getKeys(req.query.pattern || null);
+
+    res.json({
+      success: true,
+      count: keys.length,
+      keys
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /cache/clear
+ * Remove all cached entries and reset this instance's statistics
+ */
+router.post('/clear', async (req, res, next) => {
+  try {
+    const cleared = await cache.clear();
+
+    res.json({
+      success: true,
+      cleared
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /cache/invalidate
+ * Remove cached entries whose key matches a pattern
+ * Body or query: { pattern } - e.g. "GET:/climate-data/geojson/ssp585/*"
+ */
+router.post('/invalidate', validate({
+  query: { pattern: { type: 'string', maxLength: 200 } }
+}), async (req, res, next) => {
+  try {
+    const pattern = req.body?.pattern || req.query.pattern;
+
+    if (!pattern || typeof pattern !== 'string') {
+      return sendProblem(res, 400, 'validation_failed', 'pattern is required (e.g. "GET:/climate-data/geojson/ssp585/*")', {
+        errors: [{ in: 'body', name: 'pattern', code: 'missing_parameter', detail: 'pattern is required' }]
+      });
+    }
+
+    // With a shared store this removes the entries for every API instance
+    const invalidated = await cache.invalidate(pattern);
+
+    res.json({
+      success: true,
+      pattern,
+      invalidated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,77 @@
+/**
+ * Catalog Routes
+ * Endpoints describing the available data, so clients can build selectors dynamically
+ */
+
+import express from 'express';
+import { buildCatalog, fetchCoverage } from '../services/catalog.js';
+import { indexRegistry } from '../services/index-registry.js';
+import { parseList, VALID_SCENARIOS, VALID_PERIODS } from '../config/climate.js';
+import { wantsCsv, sendCsv } from '../services/csv-export.js';
+import { validate, fields } from '../middleware/validate.js';
+
+const router = express.Router();
+
+/**
+ * GET /catalog
+ * Get scenarios (with descriptions), periods (with bounds), active indices,
+ * statistics, value modes, boundary sets and the coverage matrix
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const catalog = await buildCatalog();
+
+    res.json({
+      success: true,
+      ...catalog
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /catalog/coverage
+ * Get row and NULL counts per scenario × period × index in public.climate_data
+ *
+ * Query params:
+ * - indices: comma-separated index codes (default: all active)
+ * - scenarios: comma-separated scenarios (default: all)
+ * - periods: comma-separated periods (default: all)
+ * - complete: true to list only combinations without NULLs, false for only those with NULLs
+ */
+router.get('/coverage', validate({
+  query: {
+    indices: fields.indices,
+    scenarios: fields.scenarios,
+    periods: fields.periods,
+    complete: { type: 'boolean' }
+  }
+}), async (req, res, next) => {
+  try {
+    const indices = parseList(req.query.indices, indexRegistry.activeCodes());
+    const scenarios = parseList(req.query.scenarios, VALID_SCENARIOS);
+    const periods = parseList(req.query.periods, VALID_PERIODS);
+    const { complete } = req.query;
+
+    const matrix = (await fetchCoverage(indices)).filter(entry =>
+      scenarios.includes(entry.scenario) &&
+      periods.includes(entry.period) &&
+      (!complete || (entry.null_count === 0) === (complete === 'true'))
+    );
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, matrix, { filename: 'coverage' });
+    }
+
+    res.json({
+      success: true,
+      count: matrix.length,
+      data: matrix
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -5,32 +5,394 @@
 
 import express from 'express';
 import { query } from '../config/database.js';
+import {
+  VALID_SCENARIOS,
+  VALID_PERIODS,
+  DEFAULT_STATISTIC,
+  DEFAULT_VALUE_MODE,
+  AGREEMENT_THRESHOLD,
+  parseList,
+  resolveStatistic,
+  resolveValueMode
+} from '../config/climate.js';
+import { indexRegistry, climateDataColumns } from '../services/index-registry.js';
+import { resolveGeometryOptions } from '../config/geometry.js';
+import cache from '../middleware/cache.js';
+import { validate, fields, geometryQuery } from '../middleware/validate.js';
+import { sendProblem } from '../middleware/problem.js';
+import { buildClimateGeoJSON } from '../services/geojson.js';
+import { fetchIndexValues, fetchMunicipalityValues } from '../services/climate-values.js';
+import { fetchScenarios, fetchPeriods } from '../services/catalog.js';
+import { attachAgreement, flattenAgreement } from '../services/agreement.js';
+import { applyValueMode } from '../services/baselines.js';
+import { MAX_BATCH_POINTS, lookupPoints } from '../services/point-lookup.js';
+import { extractAOIGeometry, checkGeometryValidity, computeZonalSummary } from '../services/zonal.js';
+import { wantsCsv, loadIndexLabels, sendCsv, startCsv, writeCsvRows } from '../services/csv-export.js';
+import { GIS_FORMATS, isGISExportAvailable, buildGISExport } from '../services/gis-export.js';
+import {
+  AGGREGATION_LEVELS,
+  aggregateClimateIndex,
+  buildAggregateGeoJSON
+} from '../services/aggregation.js';
 
 const router = express.Router();
 
+// Vector tile settings
+const MAX_TILE_ZOOM = 16;
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+const TILE_LAYER_NAME = 'municipalities';
+const TILE_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+// Rows fetched per batch when streaming bulk exports
+const EXPORT_BATCH_SIZE = 50;
+
+// Query parameters of every endpoint returning climate values
+const valueQuery = {
+  statistic: fields.statistic,
+  mode: fields.mode
+};
+
+// Path parameters of the endpoints serving one index for all municipalities
+const indexParams = {
+  scenario: fields.scenario,
+  period: fields.period,
+  index: fields.index
+};
+
+// Scenario and period given in the query string or body rather than the path
+const requiredScenario = { ...fields.scenario, required: true };
+const requiredPeriod = { ...fields.period, required: true };
+
+/**
+ * GET /climate-data/at?lat=&lon=&scenario=&period=&statistic=&mode=
+ * Get climate data for the municipality containing a coordinate
+ * Falls back to the nearest municipality (with distance) for points outside every polygon
+ * Declared before /:municipalityId so "at" is not treated as an ID
+ */
+router.get('/at', validate({
+  query: {
+    lat: fields.lat,
+    lon: fields.lon,
+    scenario: requiredScenario,
+    period: requiredPeriod,
+    ...valueQuery
+  }
+}), async (req, res, next) => {
+  try {
+    const { lat, lon, scenario, period } = req.query;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    const [result] = await lookupPoints([{ lat, lon }], scenario, period, statistic, mode);
+
+    if (!result.municipality) {
+      return sendProblem(res, 404, 'municipality_not_found', 'No municipality found for this location');
+    }
+
+    res.json({
+      success: true,
+      scenario,
+      period,
+      statistic,
+      mode,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /climate-data/at
+ * Batch point lookup (e.g. a farm portfolio)
+ * Body: { scenario, period, statistic?, mode?, points: [{ id?, lat, lon }, ...] }
+ * Returns one result per point, in input order
+ */
+router.post('/at', validate({
+  body: {
+    scenario: requiredScenario,
+    period: requiredPeriod,
+    ...valueQuery,
+    points: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: MAX_BATCH_POINTS,
+      items: {
+        type: 'object',
+        required: true,
+        properties: { lat: fields.lat, lon: fields.lon }
+      }
+    }
+  }
+}), async (req, res, next) => {
+  try {
+    const { scenario, period, points } = req.body;
+    const { statistic } = resolveStatistic(req.body.statistic);
+    const { mode } = resolveValueMode(req.body.mode);
+
+    const results = await lookupPoints(points, scenario, period, statistic, mode);
+
+    res.json({
+      success: true,
+      scenario,
+      period,
+      statistic,
+      mode,
+      count: results.length,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /climate-data/zonal
+ * Area-weighted summary of all indices over a custom polygon (area of interest)
+ * Body: { scenario, period, statistic?, mode?, geometry } where geometry is a GeoJSON Polygon,
+ * MultiPolygon, Feature or single-feature FeatureCollection in EPSG:4326
+ */
+router.post('/zonal', validate({
+  body: {
+    scenario: requiredScenario,
+    period: requiredPeriod,
+    ...valueQuery,
+    geometry: { type: 'object', required: true }
+  }
+}), async (req, res, next) => {
+  try {
+    const { scenario, period, geometry: input } = req.body;
+    const { statistic } = resolveStatistic(req.body.statistic);
+    const { mode } = resolveValueMode(req.body.mode);
+
+    const { geometry, error } = extractAOIGeometry(input);
+    if (error) {
+      return sendProblem(res, 400, 'invalid_geometry', error);
+    }
+
+    const invalidReason = await checkGeometryValidity(geometry);
+    if (invalidReason) {
+      return sendProblem(res, 400, 'invalid_geometry', 'Invalid geometry', { reason: invalidReason });
+    }
+
+    const summary = await computeZonalSummary(geometry, scenario, period, statistic, mode);
+
+    if (summary.municipalities.length === 0) {
+      return sendProblem(res, 404, 'no_overlap', 'Area of interest does not overlap any municipality');
+    }
+
+    res.json({
+      success: true,
+      scenario,
+      period,
+      weighting: 'overlap_area',
+      ...summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /climate-data/export/:scenario/:period
+ * Bulk export of a full scenario/period slice across all municipalities
+ * CSV rows are fetched in keyset-paginated batches and streamed, never buffered whole;
+ * GIS formats attach the index columns to municipality polygons
+ * Declared before /:municipalityId/:scenario/:period so "export" is not treated as an ID
+ *
+ * Query params:
+ * - indices: comma-separated index codes (default: all)
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
+ * - format: csv (default) | gpkg (GeoPackage) | shp (zipped Shapefile)
+ *
+ * Each index has a companion <index>_agreement column (model sign agreement)
+ */
+router.get('/export/:scenario/:period', validate({
+  params: {
+    scenario: fields.scenario,
+    period: fields.period
+  },
+  query: {
+    indices: fields.indices,
+    ...valueQuery,
+    format: {
+      type: 'string',
+      values: ['csv', ...Object.keys(GIS_FORMATS)],
+      ignoreCase: true,
+      code: 'invalid_format',
+      label: 'export format'
+    }
+  }
+}), async (req, res, next) => {
+  try {
+    const { scenario, period } = req.params;
+    const indices = parseList(req.query.indices, indexRegistry.activeCodes());
+    const format = (req.query.format || 'csv').toLowerCase();
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    if (GIS_FORMATS[format]) {
+      if (!(await isGISExportAvailable())) {
+        return sendProblem(res, 501, 'gis_export_unavailable', 'GIS export is not available on this server (gdal-async not installed)');
+      }
+
+      const file = await buildGISExport(format, scenario, period, indices, statistic, mode);
+      res.setHeader('Content-Type', file.contentType);
+      return res.download(file.path, file.filename, (error) => {
+        file.cleanup();
+        if (error && !res.headersSent) {
+          next(error);
+        }
+      });
+    }
+
+    const columns = [
+      'municipality_id', 'municipality_name', 'municipality_code', 'province',
+      'district_code', 'district_name', 'scenario', 'period', 'period_start', 'period_end',
+      'statistic',
+      'mode',
+      ...indices,
+      ...indices.map(index => `${index}_agreement`)
+    ];
+
+    const suffix = [
+      statistic === DEFAULT_STATISTIC ? '' : `_${statistic}`,
+      mode === DEFAULT_VALUE_MODE ? '' : `_${mode}`
+    ].join('');
+    startCsv(res, `climate-data_${scenario}_${period}${suffix}`, columns, await loadIndexLabels());
+
+    // Note: Column names are validated above and safe to interpolate
+    let lastId = 0;
+    while (!res.destroyed) {
+      const batch = await query(`
+        SELECT
+          m.id as municipality_id,
+          m.municipality_name,
+          m.municipality_code,
+          m.province,
+          m.district_code,
+          m.district_name,
+          cd.scenario,
+          cd.period,
+          cd.period_start,
+          cd.period_end,
+          cd.statistic,
+          $5::text as mode,
+          ${indices.map(index => `cd.${index}`).join(',\n          ')}
+        FROM public.climate_data_statistics cd
+        JOIN public.municipalities m ON m.id = cd.municipality_id
+        WHERE cd.scenario = $1
+          AND cd.period = $2
+          AND cd.statistic = $3
+          AND m.id > $4
+        ORDER BY m.id
+        LIMIT ${EXPORT_BATCH_SIZE}
+      `, [scenario, period, statistic, lastId, mode]);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      await applyValueMode(batch.rows, indices, mode);
+      flattenAgreement(await attachAgreement(batch.rows, indices), indices);
+      await writeCsvRows(res, columns, batch.rows);
+      lastId = batch.rows[batch.rows.length - 1].municipality_id;
+    }
+
+    res.end();
+  } catch (error) {
+    // Headers are already sent once streaming has started
+    if (res.headersSent) {
+      console.error('CSV export failed:', error.message);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /climate-data/scenarios
+ * Get list of available scenarios with descriptions
+ * Declared before /:municipalityId so "scenarios" is not treated as an ID
+ */
+router.get('/scenarios', async (req, res, next) => {
+  try {
+    const scenarios = await fetchScenarios();
+
+    res.json({
+      success: true,
+      count: scenarios.length,
+      scenarios
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /climate-data/periods
+ * Get list of available time periods with their year bounds
+ * Declared before /:municipalityId so "periods" is not treated as an ID
+ */
+router.get('/periods', async (req, res, next) => {
+  try {
+    const periods = await fetchPeriods();
+
+    res.json({
+      success: true,
+      count: periods.length,
+      periods
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /climate-data/:municipalityId
  * Get all climate data for a municipality (all scenarios and periods)
+ *
+ * Query params:
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
  */
-router.get('/:municipalityId', async (req, res, next) => {
+router.get('/:municipalityId', validate({
+  params: { municipalityId: fields.municipalityId },
+  query: valueQuery
+}), async (req, res, next) => {
   try {
     const { municipalityId } = req.params;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+    const indices = indexRegistry.activeCodes();
 
+    // Only active index columns (inactive ones are hidden like on every other route)
     const result = await query(`
       SELECT
-        cd.*,
+        ${climateDataColumns(indices)},
         m.municipality_name,
         m.province
-      FROM public.climate_data cd
+      FROM public.climate_data_statistics cd
       JOIN public.municipalities m ON m.id = cd.municipality_id
       WHERE cd.municipality_id = $1
+        AND cd.statistic = $2
       ORDER BY cd.scenario, cd.period_start
-    `, [municipalityId]);
+    `, [municipalityId, statistic]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'No climate data found for this municipality'
+      return sendProblem(res, 404, 'no_data', 'No climate data found for this municipality');
+    }
+
+    await applyValueMode(result.rows, indices, mode);
+    await attachAgreement(result.rows, indices);
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, flattenAgreement(result.rows, indices), {
+        filename: `climate-data_${municipalityId}`,
+        labels: await loadIndexLabels()
       });
     }
 
@@ -41,6 +403,8 @@ router.get('/:municipalityId', async (req, res, next) => {
         name: result.rows[0].municipality_name,
         province: result.rows[0].province
       },
+      statistic,
+      mode,
       count: result.rows.length,
       data: result.rows
     });
@@ -49,37 +413,251 @@ router.get('/:municipalityId', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /climate-data/:municipalityId/compare
+ * Compare indices across scenarios and periods for a municipality
+ * Returns a matrix keyed by index → scenario → period, with index metadata
+ * and the spread between the lowest and highest scenario per period
+ *
+ * Query params:
+ * - indices: comma-separated index codes (default: all)
+ * - scenarios: comma-separated scenarios (default: all)
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
+ */
+router.get('/:municipalityId/compare', validate({
+  params: { municipalityId: fields.municipalityId },
+  query: {
+    indices: fields.indices,
+    scenarios: fields.scenarios,
+    ...valueQuery
+  }
+}), async (req, res, next) => {
+  try {
+    const { municipalityId } = req.params;
+    const indices = parseList(req.query.indices, indexRegistry.activeCodes());
+    const scenarios = parseList(req.query.scenarios, VALID_SCENARIOS);
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    // Note: Column names are validated above and safe to interpolate
+    const result = await query(`
+      SELECT
+        cd.municipality_id,
+        cd.scenario,
+        cd.period,
+        cd.period_start,
+        cd.period_end,
+        ${indices.map(index => `cd.${index}`).join(',\n        ')},
+        m.municipality_name,
+        m.province
+      FROM public.climate_data_statistics cd
+      JOIN public.municipalities m ON m.id = cd.municipality_id
+      WHERE cd.municipality_id = $1
+        AND cd.scenario = ANY($2)
+        AND cd.statistic = $3
+      ORDER BY cd.period_start, cd.scenario
+    `, [municipalityId, scenarios, statistic]);
+
+    if (result.rows.length === 0) {
+      return sendProblem(res, 404, 'no_data', 'No climate data found for this municipality');
+    }
+
+    const metadata = await query(`
+      SELECT index_code, index_name, unit, risk_direction
+      FROM public.climate_indices
+      WHERE index_code = ANY($1)
+    `, [indices]);
+
+    const metadataByCode = new Map(metadata.rows.map(row => [row.index_code, row]));
+    await applyValueMode(result.rows, indices, mode);
+    await attachAgreement(result.rows, indices);
+
+    // Periods in chronological order (rows are sorted by period_start)
+    const periods = [];
+    for (const row of result.rows) {
+      if (!periods.some(p => p.period === row.period)) {
+        periods.push({
+          period: row.period,
+          period_start: row.period_start,
+          period_end: row.period_end
+        });
+      }
+    }
+
+    const matrix = {};
+    for (const index of indices) {
+      const meta = metadataByCode.get(index) || {};
+      const values = {};
+      const agreement = {};
+      const spread = {};
+
+      for (const scenario of scenarios) {
+        values[scenario] = {};
+        agreement[scenario] = {};
+      }
+
+      for (const row of result.rows) {
+        values[row.scenario][row.period] = row[index] === null ? null : parseFloat(row[index]);
+        agreement[row.scenario][row.period] = row.agreement[index];
+      }
+
+      for (const { period } of periods) {
+        const entries = scenarios
+          .map(scenario => ({ scenario, value: values[scenario][period] }))
+          .filter(entry => entry.value !== null && entry.value !== undefined);
+
+        if (entries.length === 0) {
+          spread[period] = null;
+          continue;
+        }
+
+        entries.sort((a, b) => a.value - b.value);
+        const lowest = entries[0];
+        const highest = entries[entries.length - 1];
+
+        spread[period] = {
+          lowest_scenario: lowest.scenario,
+          lowest_value: lowest.value,
+          highest_scenario: highest.scenario,
+          highest_value: highest.value,
+          range: Number((highest.value - lowest.value).toFixed(4))
+        };
+      }
+
+      matrix[index] = {
+        index_name: meta.index_name || null,
+        unit: mode === 'percent_change' ? '%' : meta.unit || null,
+        risk_direction: meta.risk_direction || null,
+        values,
+        agreement,
+        spread
+      };
+    }
+
+    res.json({
+      success: true,
+      municipality: {
+        id: municipalityId,
+        name: result.rows[0].municipality_name,
+        province: result.rows[0].province
+      },
+      statistic,
+      mode,
+      scenarios,
+      periods,
+      indices: matrix
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /climate-data/:municipalityId/values
+ * Get a municipality's values in long format (one row per scenario/period/index)
+ *
+ * Query params:
+ * - indices: comma-separated index codes (default: all)
+ * - scenarios: comma-separated scenarios (default: all)
+ * - periods: comma-separated periods (default: all)
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
+ */
+router.get('/:municipalityId/values', validate({
+  params: { municipalityId: fields.municipalityId },
+  query: {
+    indices: fields.indices,
+    scenarios: fields.scenarios,
+    periods: fields.periods,
+    ...valueQuery
+  }
+}), async (req, res, next) => {
+  try {
+    const { municipalityId } = req.params;
+    const indices = parseList(req.query.indices, indexRegistry.activeCodes());
+    const scenarios = parseList(req.query.scenarios, VALID_SCENARIOS);
+    const periods = parseList(req.query.periods, VALID_PERIODS);
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    const rows = await fetchMunicipalityValues(municipalityId, { scenarios, periods, indices, statistic, mode });
+
+    if (rows.length === 0) {
+      return sendProblem(res, 404, 'no_data', 'No climate data found for this municipality');
+    }
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, rows, { filename: `climate-values_${municipalityId}` });
+    }
+
+    res.json({
+      success: true,
+      municipality_id: Number(municipalityId),
+      statistic,
+      mode,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /climate-data/:municipalityId/:scenario/:period
  * Get specific scenario and period for a municipality
+ *
+ * Query params:
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
  */
-router.get('/:municipalityId/:scenario/:period', async (req, res, next) => {
+router.get('/:municipalityId/:scenario/:period', validate({
+  params: {
+    municipalityId: fields.municipalityId,
+    scenario: fields.scenario,
+    period: fields.period
+  },
+  query: valueQuery
+}), async (req, res, next) => {
   try {
     const { municipalityId, scenario, period } = req.params;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+    const indices = indexRegistry.activeCodes();
 
     const result = await query(`
       SELECT
-        cd.*,
+        ${climateDataColumns(indices)},
         m.municipality_name,
         m.province,
         m.district_code,
         m.district_name
-      FROM public.climate_data cd
+      FROM public.climate_data_statistics cd
       JOIN public.municipalities m ON m.id = cd.municipality_id
       WHERE cd.municipality_id = $1
         AND cd.scenario = $2
         AND cd.period = $3
-    `, [municipalityId, scenario, period]);
+        AND cd.statistic = $4
+    `, [municipalityId, scenario, period, statistic]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Climate data not found for specified parameters'
+      return sendProblem(res, 404, 'no_data', 'Climate data not found for specified parameters');
+    }
+
+    await applyValueMode(result.rows, indices, mode);
+    await attachAgreement(result.rows, indices);
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, flattenAgreement(result.rows, indices), {
+        filename: `climate-data_${municipalityId}_${scenario}_${period}`,
+        labels: await loadIndexLabels()
       });
     }
 
     res.json({
       success: true,
+      mode,
       data: result.rows[0]
     });
   } catch (error) {
@@ -87,102 +665,280 @@ router.get('/:municipalityId/:scenario/:period', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /climate-data/values/:scenario/:period/:index
+ * Get one index's values for every municipality, ranked from highest to lowest
+ *
+ * Query params:
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
+ */
+router.get('/values/:scenario/:period/:index', validate({
+  params: indexParams,
+  query: valueQuery
+}), async (req, res, next) => {
+  try {
+    const { scenario, period, index } = req.params;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    const rows = await fetchIndexValues(scenario, period, index, statistic, mode);
+
+    if (rows.length === 0) {
+      return sendProblem(res, 404, 'no_data', 'No data found for specified parameters');
+    }
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, rows, { filename: `climate-values_${scenario}_${period}_${index}` });
+    }
+
+    res.json({
+      success: true,
+      scenario,
+      period,
+      index_code: index,
+      statistic,
+      mode,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /climate-data/geojson/:scenario/:period/:index
  * Get GeoJSON with climate data for mapping
  * Critical endpoint for visualization
+ *
+ * Query params:
+ * - simplify: low | medium | high | full (precomputed, gap-free simplification)
+ * - zoom: web map zoom level, mapped to a simplification level
+ * - precision: coordinate decimal places (1-9)
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
  */
-router.get('/geojson/:scenario/:period/:index', async (req, res, next) => {
+router.get('/geojson/:scenario/:period/:index', validate({
+  params: indexParams,
+  query: { ...valueQuery, ...geometryQuery }
+}), async (req, res, next) => {
   try {
     const { scenario, period, index } = req.params;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
 
-    // Validate climate index exists (must match actual climate_data table columns)
-    const validIndices = [
-      // Precipitation indices
-      'cdd', 'cwd', 'prcptot', 'r10mm', 'r20mm', 'r95p', 'r99p',
-      'r95ptot', 'r99ptot', 'rx1day', 'rx5day', 'sdii',
-      // Temperature indices
-      'fd', 'tn10p', 'tn90p', 'tnlt2', 'tnn', 'tnx',
-      'tx10p', 'tx90p', 'txge30', 'txgt50p', 'txn', 'txx',
-      // Duration indices
-      'csdi', 'wsdi', 'txd_tnd'
-    ];
+    const geometryOptions = resolveGeometryOptions(req.query);
+    if (geometryOptions.error) {
+      const { error, ...extensions } = geometryOptions;
+      return sendProblem(res, 400, 'invalid_geometry_options', error, extensions);
+    }
 
-    if (!validIndices.includes(index)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid climate index',
-        valid_indices: validIndices
-      });
+    const geojson = await buildClimateGeoJSON(scenario, period, index, { ...geometryOptions, statistic, mode });
+
+    if (!geojson) {
+      return sendProblem(res, 404, 'no_data', 'No data found for specified parameters');
+    }
+
+    res.json(geojson);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /climate-data/tiles/:scenario/:period/:index/:z/:x/:y.mvt
+ * Get a Mapbox Vector Tile with climate data for mapping
+ * Lightweight alternative to the GeoJSON endpoint - geometries are clipped
+ * and quantised to the tile, so clients only download what is in view
+ *
+ * Query params:
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
+ */
+router.get('/tiles/:scenario/:period/:index/:z/:x/:y.mvt', validate({
+  params: {
+    ...indexParams,
+    z: { type: 'integer', min: 0, max: MAX_TILE_ZOOM, label: 'tile zoom' },
+    x: { type: 'integer', min: 0, label: 'tile column' },
+    y: { type: 'integer', min: 0, label: 'tile row' }
+  },
+  query: valueQuery
+}), async (req, res, next) => {
+  try {
+    const { scenario, period, index } = req.params;
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    // Column and row ranges depend on the zoom level
+    const tileCount = 2 ** z;
+    if (x >= tileCount || y >= tileCount) {
+      return sendProblem(res, 400, 'invalid_tile', 'Invalid tile coordinates', { max_zoom: MAX_TILE_ZOOM });
+    }
+
+    // Tiles are binary, so they are cached here rather than by the JSON cache middleware
+    const key = cache.generateKey(req);
+    const ttl = cache.determineTTL(req.originalUrl);
+    res.setHeader('Cache-Control', cache.getCacheControlHeader(ttl));
+    res.setHeader('X-Cache-Key', key);
+
+    const cachedItem = await cache.get(key).catch(error => {
+      console.error('Cache read failed:', error.message);
+      return null;
+    });
+    if (cachedItem) {
+      if (cache.matchesETag(req.headers['if-none-match'], cachedItem.etag)) {
+        res.setHeader('ETag', cachedItem.etag);
+        res.setHeader('X-Cache', 'HIT-304');
+        return res.status(304).end();
+      }
+      res.setHeader('X-Cache', 'HIT');
+      if (cachedItem.body.length === 0) {
+        return sendTile(res, cachedItem.body);
+      }
+      return cache.sendEntry(req, res, cachedItem);
     }
 
-    // Build dynamic query to get the specified index value
+    // Build tile with the same properties as the GeoJSON endpoint
     // Note: Column name is validated above and safe to interpolate
     const result = await query(`
-      SELECT
-        json_build_object(
-          'type', 'FeatureCollection',
-          'features', json_agg(
-            json_build_object(
-              'type', 'Feature',
-              'id', m.id,
-              'geometry', ST_AsGeoJSON(m.geom)::json,
-              'properties', json_build_object(
-                'id', m.id,
-                'municipality_name', m.municipality_name,
-                'municipality_code', m.municipality_code,
-                'province', m.province,
-                'district_code', m.district_code,
-                'district_name', m.district_name,
-                'centroid_lat', m.centroid_lat,
-                'centroid_lon', m.centroid_lon,
-                'area_km2', m.area_km2,
-                'scenario', cd.scenario,
-                'period', cd.period,
-                'period_start', cd.period_start,
-                'period_end', cd.period_end,
-                'index_code', '${index}',
-                'value', cd.${index}
-              )
-            )
-          )
-        ) as geojson
-      FROM public.municipalities m
-      JOIN public.climate_data cd ON cd.municipality_id = m.id
-      WHERE cd.scenario = $1
-        AND cd.period = $2
-        AND m.geom IS NOT NULL
-        AND cd.${index} IS NOT NULL
-    `, [scenario, period]);
-
-    if (!result.rows[0].geojson) {
-      return res.status(404).json({
-        success: false,
-        error: 'No data found for specified parameters'
-      });
-    }
+      WITH bounds AS (
+        SELECT
+          ST_TileEnvelope($1, $2, $3) AS geom_3857,
+          ST_Transform(ST_TileEnvelope($1, $2, $3), 4326) AS geom_4326
+      ),
+      features AS (
+        SELECT
+          ST_AsMVTGeom(
+            ST_Transform(m.geom, 3857),
+            bounds.geom_3857,
+            ${TILE_EXTENT},
+            ${TILE_BUFFER},
+            true
+          ) AS geom,
+          m.id,
+          m.municipality_name,
+          m.municipality_code,
+          m.province,
+          m.district_code,
+          m.district_name,
+          m.centroid_lat,
+          m.centroid_lon,
+          m.area_km2,
+          cd.scenario,
+          cd.period,
+          cd.period_start,
+          cd.period_end,
+          '${index}' AS index_code,
+          cd.statistic,
+          $8::text AS mode,
+          public.climate_value_in_mode(cd.${index}, cb.value, $8) AS value,
+          ca.sign_agreement >= $7 AS agreement
+        FROM public.municipalities m
+        JOIN public.climate_data_statistics cd ON cd.municipality_id = m.id
+        LEFT JOIN public.climate_baselines cb
+          ON cb.municipality_id = cd.municipality_id
+          AND cb.index_code = '${index}'
+        LEFT JOIN public.climate_agreement ca
+          ON ca.municipality_id = cd.municipality_id
+          AND ca.scenario = cd.scenario
+          AND ca.period = cd.period
+          AND ca.index_code = '${index}'
+        CROSS JOIN bounds
+        WHERE cd.scenario = $4
+          AND cd.period = $5
+          AND cd.statistic = $6
+          AND m.geom IS NOT NULL
+          AND m.geom && bounds.geom_4326
+          AND public.climate_value_in_mode(cd.${index}, cb.value, $8) IS NOT NULL
+      )
+      SELECT ST_AsMVT(features.*, '${TILE_LAYER_NAME}', ${TILE_EXTENT}, 'geom', 'id') AS mvt
+      FROM features
+      WHERE geom IS NOT NULL
+    `, [z, x, y, scenario, period, statistic, AGREEMENT_THRESHOLD, mode]);
+
+    const tile = result.rows[0].mvt || Buffer.alloc(0);
 
-    res.json(result.rows[0].geojson);
+    // Compressed variants are built in the background for later hits
+    const item = cache.createEntry(key, tile, ttl, TILE_CONTENT_TYPE);
+    cache.storeInBackground(key, item);
+    res.setHeader('ETag', item.etag);
+    res.setHeader('X-Cache', 'MISS');
+    sendTile(res, tile);
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * GET /climate-data/scenarios
- * Get list of available scenarios
+ * Send a vector tile buffer (empty tiles are sent as 204 No Content)
+ * @param {Object} res - Express response
+ * @param {Buffer} tile - Encoded MVT
  */
-router.get('/scenarios', async (req, res, next) => {
+function sendTile(res, tile) {
+  if (!tile || tile.length === 0) {
+    return res.status(204).end();
+  }
+
+  res.setHeader('Content-Type', TILE_CONTENT_TYPE);
+  return res.send(tile);
+}
+
+// Path parameters of the aggregation endpoints
+const aggregateParams = {
+  level: {
+    type: 'string',
+    values: Object.keys(AGGREGATION_LEVELS),
+    code: 'invalid_level',
+    label: 'aggregation level'
+  },
+  ...indexParams
+};
+
+/**
+ * GET /climate-data/aggregate/:level/:scenario/:period/:index
+ * Get area-weighted mean, min, max and standard deviation of an index
+ * rolled up per district or per province, with area-weighted model sign agreement
+ *
+ * Query params:
+ * - statistic: mean (default) | p10 | p50 | p90 - the municipality values that are aggregated
+ * - mode: anomaly (default) | absolute | percent_change - applied per municipality before aggregating
+ */
+router.get('/aggregate/:level/:scenario/:period/:index', validate({
+  params: aggregateParams,
+  query: valueQuery
+}), async (req, res, next) => {
   try {
-    const result = await query(`
-      SELECT DISTINCT scenario
-      FROM public.climate_data
-      ORDER BY scenario
-    `);
+    const { level, scenario, period, index } = req.params;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    const rows = await aggregateClimateIndex(level, scenario, period, index, statistic, mode);
+
+    if (rows.length === 0) {
+      return sendProblem(res, 404, 'no_data', 'No data found for specified parameters');
+    }
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, rows, {
+        filename: `${level}_${scenario}_${period}_${index}`
+      });
+    }
 
     res.json({
       success: true,
-      scenarios: result.rows.map(r => r.scenario)
+      level,
+      scenario,
+      period,
+      index_code: index,
+      statistic,
+      mode,
+      weighting: 'area_km2',
+      count: rows.length,
+      data: rows
     });
   } catch (error) {
     next(error);
@@ -190,21 +946,32 @@ router.get('/scenarios', async (req, res, next) => {
 });
 
 /**
- * GET /climate-data/periods
- * Get list of available time periods
+ * GET /climate-data/aggregate/:level/:scenario/:period/:index/geojson
+ * Get dissolved district/province geometries (ST_Union) with aggregate statistics
+ * Accepts the simplify/zoom/precision/statistic/mode params of the GeoJSON endpoint
  */
-router.get('/periods', async (req, res, next) => {
+router.get('/aggregate/:level/:scenario/:period/:index/geojson', validate({
+  params: aggregateParams,
+  query: { ...valueQuery, ...geometryQuery }
+}), async (req, res, next) => {
   try {
-    const result = await query(`
-      SELECT DISTINCT period, period_start, period_end
-      FROM public.climate_data
-      ORDER BY period_start
-    `);
+    const { level, scenario, period, index } = req.params;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
 
-    res.json({
-      success: true,
-      periods: result.rows
-    });
+    const geometryOptions = resolveGeometryOptions(req.query);
+    if (geometryOptions.error) {
+      const { error, ...extensions } = geometryOptions;
+      return sendProblem(res, 400, 'invalid_geometry_options', error, extensions);
+    }
+
+    const geojson = await buildAggregateGeoJSON(level, scenario, period, index, { ...geometryOptions, statistic, mode });
+
+    if (!geojson) {
+      return sendProblem(res, 404, 'no_data', 'No data found for specified parameters');
+    }
+
+    res.json(geojson);
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,45 @@
+/**
+ * Docs Routes
+ * Interactive API documentation (Swagger UI) for the OpenAPI document at /openapi.json
+ *
+ * The UI assets are served from the swagger-ui-dist package rather than a CDN,
+ * so the docs work offline and under helmet's default Content-Security-Policy.
+ */
+
+import express from 'express';
+import getAbsoluteFSPath from 'swagger-ui-dist/absolute-path.js';
+
+const router = express.Router();
+
+// Replaces the package's initializer (which loads the Petstore example).
+// The document URL is relative so the docs also work behind a path prefix.
+const SWAGGER_INITIALIZER = `window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: '../openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    validatorUrl: null,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`;
+
+/**
+ * GET /docs
+ * Swagger UI (redirects /docs to /docs/ so the relative asset URLs resolve)
+ */
+router.get('/', (req, res, next) => {
+  if (!req.originalUrl.split('?')[0].endsWith('/')) {
+    return res.redirect(301, `${req.baseUrl.split('/').pop()}/`);
+  }
+  next();
+});
+
+router.get('/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(SWAGGER_INITIALIZER);
+});
+
+router.use(express.static(getAbsoluteFSPath()));
+
+export default router;
@@ -5,43 +5,37 @@
 
 import express from 'express';
 import { query } from '../config/database.js';
+import { requireAdminToken } from '../middleware/admin-auth.js';
+import { indexRegistry } from '../services/index-registry.js';
+import { bumpDataVersion, dataVersionWatcher } from '../services/data-version.js';
+import { INDEX_LIST } from '../config/lists.js';
+import { listQuerySpecs, resolveListOptions, fetchList, paginate } from '../services/list-query.js';
+import { validate } from '../middleware/validate.js';
+import { sendProblem } from '../middleware/problem.js';
 
 const router = express.Router();
 
 /**
  * GET /indices
- * Get all climate indices with metadata
+ * Get active climate indices with metadata
+ *
+ * Query params:
+ * - limit, offset: page size (1-1000, default: all) and start
+ * - sort: comma-separated columns, "-" prefix for descending (default: display_order,category,index_code)
+ * - fields: comma-separated columns to return (default: all)
+ * - category, sector, risk_direction: exact filters (sector matches one tag of the list)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', validate({
+  query: listQuerySpecs(INDEX_LIST)
+}), async (req, res, next) => {
   try {
-    const result = await query(`
-      SELECT
-        id,
-        index_code,
-        index_name,
-        category,
-        description,
-        technical_definition,
-        plain_language_description,
-        unit,
-        interpretation,
-        risk_direction,
-        sector,
-        baseline_period,
-        display_order,
-        color_scheme,
-        color_palette_type,
-        anomaly_direction,
-        is_active
-      FROM public.climate_indices
-      WHERE is_active = true
-      ORDER BY display_order, category, index_code
-    `);
+    const options = resolveListOptions(INDEX_LIST, req.query);
+    const { rows, total } = await fetchList(INDEX_LIST, options);
 
     res.json({
       success: true,
-      count: result.rows.length,
-      data: result.rows
+      ...paginate(req, options, rows.length, total),
+      data: rows
     });
   } catch (error) {
     next(error);
@@ -172,7 +166,9 @@ router.get('/color-schemes', (req, res) => {
  * GET /indices/:code
  * Get single climate index by code
  */
-router.get('/:code', async (req, res, next) => {
+router.get('/:code', validate({
+  params: { code: { type: 'string', pattern: /^[A-Za-z][A-Za-z0-9_]{0,19}$/, label: 'index code' } }
+}), async (req, res, next) => {
   try {
     const { code } = req.params;
 
@@ -200,10 +196,7 @@ router.get('/:code', async (req, res, next) => {
     `, [code.toLowerCase()]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Climate index not found'
-      });
+      return sendProblem(res, 404, 'index_not_found', 'Climate index not found');
     }
 
     res.json({
@@ -219,7 +212,9 @@ router.get('/:code', async (req, res, next) => {
  * GET /indices/category/:category
  * Get climate indices by category
  */
-router.get('/category/:category', async (req, res, next) => {
+router.get('/category/:category', validate({
+  params: { category: { type: 'string', maxLength: 50 } }
+}), async (req, res, next) => {
   try {
     const { category } = req.params;
 
@@ -248,10 +243,7 @@ router.get('/category/:category', async (req, res, next) => {
     `, [category.toLowerCase()]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Category not found or has no active indices'
-      });
+      return sendProblem(res, 404, 'category_not_found', 'Category not found or has no active indices');
     }
 
     res.json({
@@ -382,4 +374,41 @@ router.get('/stats/by-sector', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /indices/refresh
+ * Reload the index registry from climate_indices (admin token required)
+ * Use after editing or (de)activating an index by hand; ETL runs refresh it automatically
+ *
+ * Bumps the climate_indices data version, so every API instance reloads its
+ * registry and drops its cached responses (the data version watcher in index.js),
+ * not just the one that received the request
+ */
+router.post('/refresh', requireAdminToken, async (req, res, next) => {
+  try {
+    const before = indexRegistry.activeCodes();
+
+    const version = await bumpDataVersion('climate_indices');
+    if (version === null) {
+      return sendProblem(res, 503, 'data_version_unavailable',
+        'Data versioning is not set up, so other instances cannot be refreshed (run npm run migrate)');
+    }
+
+    // Apply the new version here before responding; other instances pick it up
+    // from the notification or their next poll
+    await indexRegistry.load();
+    await dataVersionWatcher.check();
+    const after = indexRegistry.activeCodes();
+
+    res.json({
+      success: true,
+      registry: indexRegistry.getStatus(),
+      activated: after.filter(code => !before.includes(code)),
+      deactivated: before.filter(code => !after.includes(code)),
+      data_version: version
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
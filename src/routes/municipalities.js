@@ -5,36 +5,92 @@
 
 import express from 'express';
 import { query } from '../config/database.js';
+import { SECTORS, resolveStatistic, resolveValueMode } from '../config/climate.js';
+import { indexRegistry } from '../services/index-registry.js';
+import { NORMALISATION_METHODS, computeSectorProfile } from '../services/risk-scoring.js';
+import { wantsCsv, sendCsv } from '../services/csv-export.js';
+import { MUNICIPALITY_LIST, PROVINCE_LIST } from '../config/lists.js';
+import { listQuerySpecs, resolveListOptions, fetchList, paginate } from '../services/list-query.js';
+import {
+  MAX_SEARCH_RESULTS,
+  DEFAULT_SEARCH_RESULTS,
+  normaliseSearchText,
+  searchMunicipalities
+} from '../services/municipality-search.js';
+import { validate, fields } from '../middleware/validate.js';
+import { sendProblem } from '../middleware/problem.js';
 
 const router = express.Router();
 
 /**
  * GET /municipalities
- * Get all municipalities with basic info
+ * Get municipalities with basic info
+ *
+ * Query params:
+ * - limit, offset: page size (1-1000, default: all) and start
+ * - sort: comma-separated columns, "-" prefix for descending (default: province,municipality_name)
+ * - fields: comma-separated columns to return (default: all)
+ * - province, district_code, category: exact filters
+ * - min_area_km2, max_area_km2: area bounds
  */
-router.get('/', async (req, res, next) => {
+router.get('/', validate({
+  query: listQuerySpecs(MUNICIPALITY_LIST)
+}), async (req, res, next) => {
   try {
-    const result = await query(`
-      SELECT
-        id,
-        objectid,
-        municipality_name,
-        municipality_code,
-        province,
-        district_code,
-        district_name,
-        category,
-        centroid_lat,
-        centroid_lon,
-        area_km2
-      FROM public.municipalities
-      ORDER BY province, municipality_name
-    `);
+    const options = resolveListOptions(MUNICIPALITY_LIST, req.query);
+    const { rows, total } = await fetchList(MUNICIPALITY_LIST, options);
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, rows, {
+        filename: 'municipalities',
+        columns: options.fields
+      });
+    }
 
     res.json({
       success: true,
-      count: result.rows.length,
-      data: result.rows
+      ...paginate(req, options, rows.length, total),
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /municipalities/search
+ * Fuzzy, accent-insensitive search over name, municipality code, district and province
+ * (declared before /:id so "search" is not read as an ID)
+ *
+ * Query params:
+ * - q: search text (required)
+ * - prefix: true to match word prefixes only, for typeahead (default: false)
+ * - limit: number of results (1-50, default: 10)
+ */
+router.get('/search', validate({
+  query: {
+    q: { type: 'string', required: true, maxLength: 100, label: 'search text' },
+    prefix: { type: 'boolean' },
+    limit: { type: 'integer', min: 1, max: MAX_SEARCH_RESULTS, label: 'limit' }
+  }
+}), async (req, res, next) => {
+  try {
+    const search = normaliseSearchText(req.query.q);
+    const prefix = req.query.prefix === 'true';
+    const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_SEARCH_RESULTS;
+
+    if (search === '') {
+      return sendProblem(res, 400, 'invalid_query', 'Search text must contain letters or digits');
+    }
+
+    const results = await searchMunicipalities(search, { prefix, limit });
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      prefix,
+      count: results.length,
+      data: results
     });
   } catch (error) {
     next(error);
@@ -45,7 +101,9 @@ router.get('/', async (req, res, next) => {
  * GET /municipalities/:id
  * Get single municipality by ID
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', validate({
+  params: { id: fields.municipalityId }
+}), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -70,10 +128,13 @@ router.get('/:id', async (req, res, next) => {
     `, [id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Municipality not found'
-      });
+      return sendProblem(res, 404, 'municipality_not_found', 'Municipality not found');
+    }
+
+    // Geometry is left out of CSV (use the GeoJSON endpoints for mapping)
+    if (wantsCsv(req)) {
+      const { geometry, ...row } = result.rows[0];
+      return sendCsv(res, [row], { filename: `municipality_${id}` });
     }
 
     res.json({
@@ -85,35 +146,130 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /municipalities/:id/sector-risk/:sector
+ * Get a sector-specific risk profile across every scenario and period
+ * Uses the indices tagged with the sector in climate_indices.sector
+ *
+ * Query params:
+ * - method: percentile (0-100, default) | zscore
+ * - top: number of top contributing indices to list (default 3)
+ * - statistic: mean (default) | p10 | p50 | p90
+ * - mode: anomaly (default) | absolute | percent_change
+ */
+router.get('/:id/sector-risk/:sector', validate({
+  params: {
+    id: fields.municipalityId,
+    sector: { type: 'string', values: Object.keys(SECTORS), ignoreCase: true, code: 'invalid_sector' }
+  },
+  query: {
+    method: { type: 'string', values: NORMALISATION_METHODS, ignoreCase: true, code: 'invalid_method', label: 'normalisation method' },
+    top: { type: 'integer', min: 1 },
+    statistic: fields.statistic,
+    mode: fields.mode
+  }
+}), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const sector = req.params.sector.toUpperCase();
+    const method = (req.query.method || 'percentile').toLowerCase();
+    const top = req.query.top ? Number(req.query.top) : 3;
+    const { statistic } = resolveStatistic(req.query.statistic);
+    const { mode } = resolveValueMode(req.query.mode);
+
+    const municipality = await query(`
+      SELECT id, municipality_name, province
+      FROM public.municipalities
+      WHERE id = $1
+    `, [id]);
+
+    if (municipality.rows.length === 0) {
+      return sendProblem(res, 404, 'municipality_not_found', 'Municipality not found');
+    }
+
+    // Sector tags are comma-separated lists (e.g. "H, AFS, WRH");
+    // indices tagged "All" are relevant to every sector
+    const indices = await query(`
+      SELECT
+        index_code,
+        index_name,
+        unit,
+        risk_direction,
+        plain_language_description
+      FROM public.climate_indices
+      WHERE is_active = true
+        AND regexp_split_to_array(sector, '\\s*,\\s*') && ARRAY[$1, 'All']::text[]
+      ORDER BY display_order, index_code
+    `, [sector]);
+
+    // Only registered indices (backed by a climate_data column) can be scored
+    const sectorIndices = indices.rows.filter(row => indexRegistry.isActive(row.index_code));
+
+    if (sectorIndices.length === 0) {
+      return sendProblem(res, 404, 'no_sector_indices', 'No active indices tagged with this sector');
+    }
+
+    const profile = await computeSectorProfile(id, sectorIndices, { method, top, statistic, mode });
+
+    if (profile.length === 0) {
+      return sendProblem(res, 404, 'no_data', 'No climate data found for this municipality');
+    }
+
+    res.json({
+      success: true,
+      municipality: {
+        id: municipality.rows[0].id,
+        name: municipality.rows[0].municipality_name,
+        province: municipality.rows[0].province
+      },
+      sector: {
+        code: sector,
+        name: SECTORS[sector]
+      },
+      method,
+      statistic,
+      mode,
+      indices: sectorIndices.map(row => row.index_code),
+      count: profile.length,
+      profile
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /municipalities/province/:province
  * Get municipalities by province
+ *
+ * Query params: limit, offset, sort, fields, district_code, category,
+ * min_area_km2 and max_area_km2 as for GET /municipalities
+ * (default sort: municipality_name)
  */
-router.get('/province/:province', async (req, res, next) => {
+router.get('/province/:province', validate({
+  params: { province: { type: 'string', maxLength: 50 } },
+  query: listQuerySpecs(PROVINCE_LIST)
+}), async (req, res, next) => {
   try {
-    const { province } = req.params;
+    const province = req.params.province.toUpperCase();
+    const options = resolveListOptions(PROVINCE_LIST, req.query);
+    const { rows, total } = await fetchList(PROVINCE_LIST, options, {
+      conditions: ['province = $1'],
+      params: [province]
+    });
 
-    const result = await query(`
-      SELECT
-        id,
-        objectid,
-        municipality_name,
-        municipality_code,
-        district_code,
-        district_name,
-        centroid_lat,
-        centroid_lon,
-        area_km2
-      FROM public.municipalities
-      WHERE province = $1
-      ORDER BY municipality_name
-    `, [province.toUpperCase()]);
+    if (wantsCsv(req)) {
+      return sendCsv(res, rows, {
+        filename: `municipalities_${province}`,
+        columns: options.fields
+      });
+    }
 
     res.json({
       success: true,
-      province: province.toUpperCase(),
-      count: result.rows.length,
-      data: result.rows
+      province,
+      ...paginate(req, options, rows.length, total),
+      data: rows
     });
   } catch (error) {
     next(error);
@@ -124,7 +280,9 @@ router.get('/province/:province', async (req, res, next) => {
  * GET /municipalities/district/:districtCode
  * Get municipalities by district
  */
-router.get('/district/:districtCode', async (req, res, next) => {
+router.get('/district/:districtCode', validate({
+  params: { districtCode: { type: 'string', maxLength: 20 } }
+}), async (req, res, next) => {
   try {
     const { districtCode } = req.params;
 
@@ -145,10 +303,11 @@ router.get('/district/:districtCode', async (req, res, next) => {
     `, [districtCode.toUpperCase()]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'District not found or has no municipalities'
-      });
+      return sendProblem(res, 404, 'district_not_found', 'District not found or has no municipalities');
+    }
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, result.rows, { filename: `municipalities_${districtCode.toUpperCase()}` });
     }
 
     res.json({
@@ -0,0 +1,151 @@
+/**
+ * Risk Routes
+ * Endpoints for composite climate risk scores
+ */
+
+import express from 'express';
+import { resolveGeometryOptions } from '../config/geometry.js';
+import {
+  NORMALISATION_METHODS,
+  activeHazards,
+  parseWeights,
+  computeRiskScores
+} from '../services/risk-scoring.js';
+import { fetchMunicipalityGeometries } from '../services/geojson.js';
+import { validate, fields, geometryQuery } from '../middleware/validate.js';
+import { sendProblem } from '../middleware/problem.js';
+
+const router = express.Router();
+
+// Parameters shared by both risk endpoints (weights are parsed by parseWeights)
+const riskParams = {
+  params: {
+    scenario: fields.scenario,
+    period: fields.period
+  },
+  query: {
+    method: { type: 'string', values: NORMALISATION_METHODS, ignoreCase: true, code: 'invalid_method', label: 'normalisation method' },
+    weights: { type: 'string', maxLength: 500 }
+  }
+};
+
+/**
+ * Resolve the scoring options shared by both risk endpoints
+ * @returns {Object} { scenario, period, method, weights } or { error }
+ */
+function resolveRiskParams(req) {
+  const { scenario, period } = req.params;
+  const method = (req.query.method || 'percentile').toLowerCase();
+
+  const { weights, error } = parseWeights(req.query.weights);
+  if (error) {
+    return { error };
+  }
+
+  return { scenario, period, method, weights };
+}
+
+/**
+ * GET /risk/:scenario/:period
+ * Get composite risk scores and ranks for all municipalities
+ *
+ * Query params:
+ * - method: percentile (0-100, default) | zscore
+ * - weights: index weights, e.g. cdd:2,wsdi:0.5 (default 1, 0 excludes an index)
+ */
+router.get('/:scenario/:period', validate(riskParams), async (req, res, next) => {
+  try {
+    const params = resolveRiskParams(req);
+    if (params.error) {
+      return sendProblem(res, 400, 'invalid_weights', params.error);
+    }
+
+    const { scenario, period, method, weights } = params;
+    const scores = await computeRiskScores(scenario, period, { method, weights });
+
+    if (scores.length === 0) {
+      return sendProblem(res, 404, 'no_data', 'No data found for specified parameters');
+    }
+
+    res.json({
+      success: true,
+      scenario,
+      period,
+      method,
+      weights,
+      hazards: activeHazards(),
+      count: scores.length,
+      data: scores
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /risk/:scenario/:period/geojson
+ * Get composite risk scores as GeoJSON for mapping
+ * Accepts the same query params as /risk/:scenario/:period, plus the
+ * simplify/zoom/precision geometry params of the climate-data GeoJSON endpoint
+ */
+router.get('/:scenario/:period/geojson', validate({
+  params: riskParams.params,
+  query: { ...riskParams.query, ...geometryQuery }
+}), async (req, res, next) => {
+  try {
+    const params = resolveRiskParams(req);
+    if (params.error) {
+      return sendProblem(res, 400, 'invalid_weights', params.error);
+    }
+
+    const geometryOptions = resolveGeometryOptions(req.query);
+    if (geometryOptions.error) {
+      const { error, ...extensions } = geometryOptions;
+      return sendProblem(res, 400, 'invalid_geometry_options', error, extensions);
+    }
+
+    const { scenario, period, method, weights } = params;
+    const [scores, geometries] = await Promise.all([
+      computeRiskScores(scenario, period, { method, weights }),
+      fetchMunicipalityGeometries(geometryOptions)
+    ]);
+
+    if (scores.length === 0) {
+      return sendProblem(res, 404, 'no_data', 'No data found for specified parameters');
+    }
+
+    const features = scores
+      .filter(row => geometries.has(row.municipality_id))
+      .map(({ hazards, ...row }) => {
+        const properties = {
+          id: row.municipality_id,
+          ...row,
+          scenario,
+          period,
+          method
+        };
+
+        // Flatten hazard sub-scores for map styling
+        for (const [hazard, { score, rank }] of Object.entries(hazards)) {
+          properties[`${hazard}_score`] = score;
+          properties[`${hazard}_rank`] = rank;
+        }
+
+        return {
+          type: 'Feature',
+          id: row.municipality_id,
+          geometry: geometries.get(row.municipality_id),
+          properties
+        };
+      });
+
+    res.json({
+      type: 'FeatureCollection',
+      features
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
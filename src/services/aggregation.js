@@ -0,0 +1,207 @@
+/**
+ * Aggregation Service
+ * Rolls municipality climate anomalies up to district or province level
+ * Statistics are area-weighted using municipalities.area_km2, over municipality
+ * values already converted to the requested mode (anomaly, absolute, percent_change)
+ */
+
+import { query } from '../config/database.js';
+import { FULL_RESOLUTION, DEFAULT_PRECISION } from '../config/geometry.js';
+import { DEFAULT_STATISTIC, DEFAULT_VALUE_MODE, AGREEMENT_THRESHOLD } from '../config/climate.js';
+
+/**
+ * Grouping columns per aggregation level
+ */
+export const AGGREGATION_LEVELS = {
+  district: {
+    code: 'm.district_code',
+    name: 'm.district_name',
+    groupBy: 'm.district_code, m.district_name'
+  },
+  province: {
+    code: 'm.province',
+    name: 'm.province',
+    groupBy: 'm.province'
+  }
+};
+
+/**
+ * Build the aggregate statistics SELECT list over the municipality values (v.value)
+ * Weighted SD uses sqrt(E[x²] - E[x]²), clamped at 0 for rounding noise.
+ * Sign agreement is area-weighted over municipalities with ensemble information
+ * @param {string} thresholdParam - Placeholder of the agreement threshold (e.g. '$5')
+ * @returns {string} SQL select expressions
+ */
+function statisticsColumns(thresholdParam) {
+  return `
+      COUNT(*)::integer as municipality_count,
+      ROUND(SUM(m.area_km2)::numeric, 2) as total_area_km2,
+      ROUND((SUM(v.value * m.area_km2) / NULLIF(SUM(m.area_km2), 0))::numeric, 4) as mean,
+      ROUND(MIN(v.value)::numeric, 4) as min,
+      ROUND(MAX(v.value)::numeric, 4) as max,
+      ROUND(SQRT(GREATEST(
+        SUM(v.value * v.value * m.area_km2) / NULLIF(SUM(m.area_km2), 0)
+          - POWER(SUM(v.value * m.area_km2) / NULLIF(SUM(m.area_km2), 0), 2),
+        0
+      ))::numeric, 4) as std_dev,
+      ROUND((SUM(ca.sign_agreement * m.area_km2)
+        / NULLIF(SUM(m.area_km2) FILTER (WHERE ca.sign_agreement IS NOT NULL), 0))::numeric, 4) as sign_agreement,
+      SUM(ca.sign_agreement * m.area_km2)
+        / NULLIF(SUM(m.area_km2) FILTER (WHERE ca.sign_agreement IS NOT NULL), 0) >= ${thresholdParam} as agreement`;
+}
+
+/**
+ * Join the aggregated index's values (cv) and baselines, and expose each value
+ * in the requested mode as v.value
+ * @param {string} indexParam - Placeholder of the index code (e.g. '$4')
+ * @param {string} statisticParam - Placeholder of the ensemble statistic (e.g. '$3')
+ * @param {string} modeParam - Placeholder of the value mode (e.g. '$6')
+ * @returns {string} SQL join clauses
+ */
+function valueJoin(indexParam, statisticParam, modeParam) {
+  return `
+    JOIN public.climate_values cv
+      ON cv.municipality_id = m.id
+      AND cv.index_code = ${indexParam}
+      AND cv.statistic = ${statisticParam}
+    LEFT JOIN public.climate_baselines cb
+      ON cb.municipality_id = cv.municipality_id
+      AND cb.index_code = cv.index_code
+    CROSS JOIN LATERAL (
+      SELECT public.climate_value_in_mode(cv.value, cb.value, ${modeParam}) as value
+    ) v`;
+}
+
+/**
+ * Join model agreement for the aggregated index
+ * @param {string} indexParam - Placeholder of the index code (e.g. '$4')
+ * @returns {string} SQL join clause
+ */
+function agreementJoin(indexParam) {
+  return `
+    LEFT JOIN public.climate_agreement ca
+      ON ca.municipality_id = cv.municipality_id
+      AND ca.scenario = cv.scenario
+      AND ca.period = cv.period
+      AND ca.index_code = ${indexParam}`;
+}
+
+/**
+ * Aggregate an index per district or province
+ * Level must be validated by the caller (it is interpolated)
+ *
+ * @param {string} level - 'district' or 'province'
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {string} index - Climate index code
+ * @param {string} statistic - Ensemble statistic (default: mean)
+ * @param {string} mode - Value mode (default: anomaly)
+ * @returns {Promise<Array>} One row per district/province
+ */
+export async function aggregateClimateIndex(level, scenario, period, index, statistic = DEFAULT_STATISTIC, mode = DEFAULT_VALUE_MODE) {
+  const { code, name, groupBy } = AGGREGATION_LEVELS[level];
+
+  const result = await query(`
+    SELECT
+      ${code} as code,
+      ${name} as name,
+      MIN(m.province) as province,
+      ${statisticsColumns('$5')}
+    FROM public.municipalities m
+    ${valueJoin('$4', '$3', '$6')}
+    ${agreementJoin('$4')}
+    WHERE cv.scenario = $1
+      AND cv.period = $2
+      AND v.value IS NOT NULL
+      AND ${code} IS NOT NULL
+    GROUP BY ${groupBy}
+    ORDER BY ${code}
+  `, [scenario, period, statistic, index, AGREEMENT_THRESHOLD, mode]);
+
+  return result.rows;
+}
+
+/**
+ * Build GeoJSON of dissolved district/province geometries with aggregate statistics
+ * Level must be validated by the caller (it is interpolated)
+ *
+ * @param {string} level - 'district' or 'province'
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {string} index - Climate index code
+ * @param {Object} options - Geometry options (level, precision), ensemble statistic and value mode
+ * @returns {Promise<Object|null>} FeatureCollection, or null if no data
+ */
+export async function buildAggregateGeoJSON(level, scenario, period, index, options = {}) {
+  const { code, name, groupBy } = AGGREGATION_LEVELS[level];
+  const {
+    level: simplifyLevel = FULL_RESOLUTION,
+    precision = DEFAULT_PRECISION,
+    statistic = DEFAULT_STATISTIC,
+    mode = DEFAULT_VALUE_MODE
+  } = options;
+
+  // Simplified municipality geometries form a gap-free coverage, so their
+  // union dissolves cleanly too
+  const result = await query(`
+    WITH aggregates AS (
+      SELECT
+        ${code} as code,
+        ${name} as name,
+        MIN(m.province) as province,
+        ST_Union(COALESCE(ms.geom, m.geom)) as geom,
+        ${statisticsColumns('$7')}
+      FROM public.municipalities m
+      ${valueJoin('$6', '$5', '$8')}
+      ${agreementJoin('$6')}
+      LEFT JOIN public.municipality_geometries_simplified ms
+        ON ms.municipality_id = m.id AND ms.level = $3
+      WHERE cv.scenario = $1
+        AND cv.period = $2
+        AND v.value IS NOT NULL
+        AND m.geom IS NOT NULL
+        AND ${code} IS NOT NULL
+      GROUP BY ${groupBy}
+    )
+    SELECT
+      json_build_object(
+        'type', 'FeatureCollection',
+        'features', json_agg(
+          json_build_object(
+            'type', 'Feature',
+            'id', a.code,
+            'geometry', ST_AsGeoJSON(a.geom, $4)::json,
+            'properties', json_build_object(
+              'code', a.code,
+              'name', a.name,
+              'province', a.province,
+              'level', '${level}',
+              'scenario', $1::text,
+              'period', $2::text,
+              'index_code', $6::text,
+              'statistic', $5::text,
+              'mode', $8::text,
+              'municipality_count', a.municipality_count,
+              'total_area_km2', a.total_area_km2,
+              'mean', a.mean,
+              'min', a.min,
+              'max', a.max,
+              'std_dev', a.std_dev,
+              'value', a.mean,
+              'sign_agreement', a.sign_agreement,
+              'agreement', a.agreement
+            )
+          ) ORDER BY a.code
+        )
+      ) as geojson
+    FROM aggregates a
+  `, [scenario, period, simplifyLevel, precision, statistic, index, AGREEMENT_THRESHOLD, mode]);
+
+  return result.rows[0]?.geojson?.features ? result.rows[0].geojson : null;
+}
+
+export default {
+  AGGREGATION_LEVELS,
+  aggregateClimateIndex,
+  buildAggregateGeoJSON
+};
@@ -0,0 +1,124 @@
+/**
+ * Model Agreement Service
+ * Flags values where most models agree on the direction of change
+ *
+ * Agreement comes from public.climate_agreement (loaded with the ensemble
+ * statistics by the climate data ETL). A value is flagged as robust when at
+ * least AGREEMENT_THRESHOLD of the models share the sign of the ensemble
+ * median; the flag is null where no ensemble information was loaded.
+ */
+
+import { query } from '../config/database.js';
+import { AGREEMENT_THRESHOLD } from '../config/climate.js';
+
+/**
+ * Key for a municipality/scenario/period combination
+ */
+function agreementKey(municipalityId, scenario, period) {
+  return `${municipalityId}|${scenario}|${period}`;
+}
+
+/**
+ * Turn a sign agreement fraction into a robustness flag
+ * @param {number|string|null} signAgreement - Fraction of models (0-1)
+ * @returns {boolean|null}
+ */
+export function isRobust(signAgreement) {
+  if (signAgreement === null || signAgreement === undefined) {
+    return null;
+  }
+  return parseFloat(signAgreement) >= AGREEMENT_THRESHOLD;
+}
+
+/**
+ * Fetch sign agreement for the municipality/scenario/period combinations of a result set
+ *
+ * @param {Array<Object>} rows - Rows with municipality_id, scenario and period
+ * @param {Array<string>} indices - Index codes
+ * @returns {Promise<Map<string, Object>>} { index: fraction } by municipality|scenario|period
+ */
+export async function fetchSignAgreement(rows, indices) {
+  const agreement = new Map();
+  if (rows.length === 0 || indices.length === 0) {
+    return agreement;
+  }
+
+  const municipalityIds = [...new Set(rows.map(row => row.municipality_id))];
+  const scenarios = [...new Set(rows.map(row => row.scenario))];
+  const periods = [...new Set(rows.map(row => row.period))];
+
+  const result = await query(`
+    SELECT municipality_id, scenario, period, index_code, sign_agreement
+    FROM public.climate_agreement
+    WHERE municipality_id = ANY($1)
+      AND scenario = ANY($2)
+      AND period = ANY($3)
+      AND index_code = ANY($4)
+  `, [municipalityIds, scenarios, periods, indices]);
+
+  for (const row of result.rows) {
+    const key = agreementKey(row.municipality_id, row.scenario, row.period);
+    if (!agreement.has(key)) {
+      agreement.set(key, {});
+    }
+    agreement.get(key)[row.index_code] = parseFloat(row.sign_agreement);
+  }
+
+  return agreement;
+}
+
+/**
+ * Look up the sign agreement fractions for one row
+ * @param {Map<string, Object>} agreement - Result of fetchSignAgreement()
+ * @param {Object} row - Row with municipality_id, scenario and period
+ * @returns {Object} { index: fraction }
+ */
+export function signAgreementFor(agreement, row) {
+  return agreement.get(agreementKey(row.municipality_id, row.scenario, row.period)) || {};
+}
+
+/**
+ * Attach an agreement object ({ index: true | false | null }) to wide climate rows
+ *
+ * @param {Array<Object>} rows - Rows with municipality_id, scenario, period and index columns
+ * @param {Array<string>} indices - Index codes to flag
+ * @returns {Promise<Array<Object>>} The same rows
+ */
+export async function attachAgreement(rows, indices) {
+  const agreement = await fetchSignAgreement(rows, indices);
+
+  for (const row of rows) {
+    const fractions = signAgreementFor(agreement, row);
+    row.agreement = Object.fromEntries(
+      indices.map(index => [index, isRobust(fractions[index])])
+    );
+  }
+
+  return rows;
+}
+
+/**
+ * Move attached agreement flags into <index>_agreement columns (for CSV output)
+ *
+ * @param {Array<Object>} rows - Rows returned by attachAgreement()
+ * @param {Array<string>} indices - Index codes
+ * @returns {Array<Object>} The same rows
+ */
+export function flattenAgreement(rows, indices) {
+  for (const row of rows) {
+    for (const index of indices) {
+      row[`${index}_agreement`] = row.agreement[index];
+    }
+    delete row.agreement;
+  }
+
+  return rows;
+}
+
+export default {
+  isRobust,
+  fetchSignAgreement,
+  signAgreementFor,
+  attachAgreement,
+  flattenAgreement
+};
@@ -0,0 +1,107 @@
+/**
+ * Baseline Service
+ * Expresses climate anomalies as anomalies, projected absolute values or percent change
+ *
+ * Baselines are the absolute 1995-2014 climatology in public.climate_baselines
+ * (loaded by the baselines ETL). SQL-built responses use the equivalent
+ * public.climate_value_in_mode() function (migration 009); this module applies
+ * the same conversion to wide rows that are already fetched.
+ */
+
+import { query } from '../config/database.js';
+import { DEFAULT_VALUE_MODE } from '../config/climate.js';
+
+/**
+ * Express one anomaly in a value mode
+ * - anomaly: as stored
+ * - absolute: baseline + anomaly
+ * - percent_change: anomaly relative to the baseline magnitude (%)
+ *
+ * @param {number|string|null} anomaly - Change from the baseline
+ * @param {number|string|null} baseline - Absolute baseline value
+ * @param {string} mode - Value mode
+ * @returns {number|string|null} Converted value (DECIMAL-style string), null without a baseline
+ */
+export function valueInMode(anomaly, baseline, mode) {
+  if (mode === DEFAULT_VALUE_MODE) {
+    return anomaly;
+  }
+  if (anomaly === null || anomaly === undefined || baseline === null || baseline === undefined) {
+    return null;
+  }
+
+  const change = parseFloat(anomaly);
+  const reference = parseFloat(baseline);
+
+  if (mode === 'absolute') {
+    return (reference + change).toFixed(4);
+  }
+  if (reference === 0) {
+    return null;
+  }
+  return (change / Math.abs(reference) * 100).toFixed(4);
+}
+
+/**
+ * Fetch baselines for a set of municipalities
+ *
+ * @param {Array<number>} municipalityIds - Municipality IDs
+ * @param {Array<string>} indices - Index codes
+ * @returns {Promise<Map<number, Object>>} { index: value } by municipality_id
+ */
+export async function fetchBaselines(municipalityIds, indices) {
+  const baselines = new Map();
+  if (municipalityIds.length === 0 || indices.length === 0) {
+    return baselines;
+  }
+
+  const result = await query(`
+    SELECT municipality_id, index_code, value
+    FROM public.climate_baselines
+    WHERE municipality_id = ANY($1)
+      AND index_code = ANY($2)
+  `, [municipalityIds, indices]);
+
+  for (const row of result.rows) {
+    if (!baselines.has(row.municipality_id)) {
+      baselines.set(row.municipality_id, {});
+    }
+    baselines.get(row.municipality_id)[row.index_code] = row.value;
+  }
+
+  return baselines;
+}
+
+/**
+ * Convert the index columns of wide climate rows to a value mode (in place)
+ *
+ * @param {Array<Object>} rows - Rows with municipality_id and index columns
+ * @param {Array<string>} indices - Index columns to convert
+ * @param {string} mode - Value mode (anomaly leaves the rows untouched)
+ * @returns {Promise<Array<Object>>} The same rows
+ */
+export async function applyValueMode(rows, indices, mode) {
+  if (mode === DEFAULT_VALUE_MODE) {
+    return rows;
+  }
+
+  const municipalityIds = [...new Set(rows.map(row => row.municipality_id))];
+  const baselines = await fetchBaselines(municipalityIds, indices);
+
+  for (const row of rows) {
+    const baseline = baselines.get(row.municipality_id) || {};
+    for (const index of indices) {
+      if (index in row) {
+        row[index] = valueInMode(row[index], baseline[index] ?? null, mode);
+      }
+    }
+  }
+
+  return rows;
+}
+
+export default {
+  valueInMode,
+  fetchBaselines,
+  applyValueMode
+};
@@ -0,0 +1,367 @@
+/**
+ * Cache Stores
+ * Storage backends for the response cache (see middleware/cache.js)
+ *
+ * The cache middleware owns keys, ETags and TTL tiers; a store only holds
+ * entries until they expire. Entries have the shape:
+ *   { body, encodings: { br, gzip }, contentType, etag, version, tier, size, createdAt, expiresAt }
+ *
+ * - MemoryStore: per-process Map with LRU eviction in a per-tier byte budget (default)
+ * - RedisStore: shared Redis-protocol server (Redis, Valkey, KeyDB...). Every API
+ *   instance reads and writes the same entries, so an invalidation on one instance
+ *   applies to all of them
+ *
+ * Every store method is async so backends can be swapped without touching callers.
+ */
+
+// Keys fetched per MGET / removed per UNLINK when scanning Redis
+const REDIS_BATCH_SIZE = 100;
+
+/**
+ * In-process store
+ * Map iteration order is recency order (least recently used first). Each tier
+ * has its own share of the byte budget, so large GeoJSON payloads never evict metadata.
+ */
+export class MemoryStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.maxBytes = options.maxBytes || 256 * 1024 * 1024;
+    this.evictions = 0;
+
+    // Share of maxBytes available to each tier (sums to 1)
+    this.tierShares = options.tierShares || {
+      metadata: 0.02,
+      geojson: 0.6,
+      tiles: 0.2,
+      municipalities: 0.08,
+      health: 0.01,
+      default: 0.09
+    };
+
+    // Per-tier usage: entries, bytes and evictions
+    this.tiers = {};
+    for (const tier of Object.keys(this.tierShares)) {
+      this.tiers[tier] = { entries: 0, bytes: 0, evictions: 0 };
+    }
+  }
+
+  /**
+   * Byte budget for a tier
+   */
+  tierQuota(tier) {
+    return Math.floor(this.maxBytes * this.tierShares[tier]);
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.remove(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting least-recently-used entries of the same tier until it fits
+   * @returns {Promise<boolean>} false if the entry exceeds its tier quota
+   */
+  async set(key, entry) {
+    const quota = this.tierQuota(entry.tier);
+
+    // Replacing an entry frees its space first
+    this.remove(key);
+
+    if (entry.size > quota) {
+      return false;
+    }
+
+    const usage = this.tiers[entry.tier];
+    if (usage.bytes + entry.size > quota) {
+      for (const [candidateKey, candidate] of this.entries) {
+        if (candidate.tier !== entry.tier) continue;
+
+        this.remove(candidateKey);
+        usage.evictions++;
+        this.evictions++;
+
+        if (usage.bytes + entry.size <= quota) break;
+      }
+    }
+
+    this.entries.set(key, entry);
+    usage.entries++;
+    usage.bytes += entry.size;
+    return true;
+  }
+
+  async delete(key) {
+    return this.remove(key);
+  }
+
+  /**
+   * Remove entries whose key matches a RegExp
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async deleteMatching(matcher) {
+    let removed = 0;
+    for (const key of Array.from(this.entries.keys())) {
+      if (matcher.test(key) && this.remove(key)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * List [key, entry] pairs whose key matches a RegExp (all when null)
+   */
+  async list(matcher = null) {
+    return Array.from(this.entries.entries())
+      .filter(([key]) => !matcher || matcher.test(key));
+  }
+
+  /**
+   * Remove all entries and reset eviction counts
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    this.evictions = 0;
+    for (const usage of Object.values(this.tiers)) {
+      Object.assign(usage, { entries: 0, bytes: 0, evictions: 0 });
+    }
+    return cleared;
+  }
+
+  async getStats() {
+    const tiers = {};
+    let bytes = 0;
+    for (const [tier, usage] of Object.entries(this.tiers)) {
+      tiers[tier] = { ...usage, maxBytes: this.tierQuota(tier) };
+      bytes += usage.bytes;
+    }
+
+    return {
+      backend: 'memory',
+      size: this.entries.size,
+      bytes,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions,
+      tiers
+    };
+  }
+
+  async close() {}
+
+  /**
+   * Remove a single entry and release its bytes
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    this.tiers[entry.tier].entries--;
+    this.tiers[entry.tier].bytes -= entry.size;
+    return true;
+  }
+}
+
+/**
+ * Shared store on a Redis-protocol server
+ * Entries expire through Redis TTLs (PX); memory limits and eviction are left to
+ * the server's maxmemory policy (allkeys-lru recommended)
+ */
+export class RedisStore {
+  /**
+   * @param {Object} client - Connected ioredis client (or compatible)
+   * @param {Object} options
+   * @param {string} options.prefix - Key prefix, so the cache can share a Redis database
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.prefix = options.prefix || 'climate-api:cache:';
+  }
+
+  /**
+   * Serialise an entry (the body and its compressed variants are base64 encoded)
+   */
+  encode(entry) {
+    const encodings = {};
+    for (const [encoding, variant] of Object.entries(entry.encodings)) {
+      encodings[encoding] = variant.toString('base64');
+    }
+
+    return JSON.stringify({
+      ...entry,
+      body: entry.body.toString('base64'),
+      encodings
+    });
+  }
+
+  decode(payload) {
+    if (!payload) {
+      return null;
+    }
+
+    const entry = JSON.parse(payload);
+    entry.body = Buffer.from(entry.body, 'base64');
+    for (const [encoding, variant] of Object.entries(entry.encodings)) {
+      entry.encodings[encoding] = Buffer.from(variant, 'base64');
+    }
+    return entry;
+  }
+
+  async get(key) {
+    return this.decode(await this.client.get(this.prefix + key));
+  }
+
+  async set(key, entry) {
+    const ttl = Math.max(1, entry.expiresAt - Date.now());
+    await this.client.set(this.prefix + key, this.encode(entry), 'PX', ttl);
+    return true;
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  /**
+   * Scan all cache keys (without prefix) matching a RegExp
+   * Patterns are matched here rather than with SCAN MATCH, so substring and
+   * wildcard patterns behave exactly as with the memory store
+   */
+  async scanKeys(matcher = null) {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 500);
+      cursor = next;
+      for (const prefixed of batch) {
+        const key = prefixed.slice(this.prefix.length);
+        if (!matcher || matcher.test(key)) {
+          keys.push(key);
+        }
+      }
+    } while (cursor !== '0');
+
+    return [...new Set(keys)];
+  }
+
+  async deleteMatching(matcher) {
+    const keys = await this.scanKeys(matcher);
+    let removed = 0;
+
+    for (let i = 0; i < keys.length; i += REDIS_BATCH_SIZE) {
+      const batch = keys.slice(i, i + REDIS_BATCH_SIZE).map(key => this.prefix + key);
+      removed += await this.client.unlink(...batch);
+    }
+    return removed;
+  }
+
+  async list(matcher = null) {
+    const keys = await this.scanKeys(matcher);
+    const entries = [];
+
+    for (let i = 0; i < keys.length; i += REDIS_BATCH_SIZE) {
+      const batch = keys.slice(i, i + REDIS_BATCH_SIZE);
+      const payloads = await this.client.mget(...batch.map(key => this.prefix + key));
+
+      // Keys can expire between SCAN and MGET
+      payloads.forEach((payload, position) => {
+        const entry = this.decode(payload);
+        if (entry) {
+          entries.push([batch[position], entry]);
+        }
+      });
+    }
+    return entries;
+  }
+
+  async clear() {
+    return this.deleteMatching(/.*/);
+  }
+
+  async getStats() {
+    const keys = await this.scanKeys();
+    const info = await this.client.info('memory');
+    const usedMemory = /used_memory:(\d+)/.exec(info);
+
+    return {
+      backend: 'redis',
+      size: keys.length,
+      serverUsedBytes: usedMemory ? parseInt(usedMemory[1], 10) : null
+    };
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+/**
+ * Create the store configured by environment variables
+ *
+ * CACHE_STORE      - "memory" (default) or "redis"
+ * REDIS_URL        - Redis connection URL (default: redis://localhost:6379)
+ * CACHE_KEY_PREFIX - Prefix for cache keys in Redis
+ * CACHE_MAX_MB     - Memory store budget in MB (default: 256)
+ *
+ * If Redis cannot be reached at startup the memory store is used instead,
+ * so a cache outage never stops the API from serving requests
+ *
+ * @param {Object} options
+ * @param {Function} options.createRedisClient - Builds the Redis client from
+ *   (url, clientOptions); defaults to ioredis (tests pass a stand-in)
+ * @returns {Promise<MemoryStore|RedisStore>}
+ */
+export async function createCacheStore(options = {}) {
+  const memoryStore = () => new MemoryStore({
+    maxBytes: (parseInt(process.env.CACHE_MAX_MB, 10) || 256) * 1024 * 1024
+  });
+
+  if ((process.env.CACHE_STORE || 'memory').toLowerCase() !== 'redis') {
+    return memoryStore();
+  }
+
+  const createRedisClient = options.createRedisClient || (async (url, clientOptions) => {
+    const { default: Redis } = await import('ioredis');
+    return new Redis(url, clientOptions);
+  });
+
+  const client = await createRedisClient(process.env.REDIS_URL || 'redis://localhost:6379', {
+    lazyConnect: true,
+    // Fail fast while disconnected - requests fall through to the database
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1
+  });
+  client.on('error', error => console.error('Redis cache error:', error.message));
+
+  try {
+    await client.connect();
+    console.log('✓ Response cache using shared Redis store');
+    return new RedisStore(client, { prefix: process.env.CACHE_KEY_PREFIX });
+  } catch (error) {
+    console.error('❌ Redis cache unavailable, using in-memory store:', error.message);
+    client.disconnect();
+    return memoryStore();
+  }
+}
+
+export default {
+  MemoryStore,
+  RedisStore,
+  createCacheStore
+};
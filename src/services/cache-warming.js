@@ -1,28 +1,22 @@
 /**
  * Cache Warming Service
- * Pre-loads essential climate data into cache on server startup
+ * Pre-loads essential climate data into cache on server startup, then
+ * re-warms on a schedule so entries are refreshed before their TTL expires
  *
- * Tier 1 Strategy: 48 essential combinations
+ * Default strategy (Tier 1): one combination per active index
  * - Scenario: ssp245 (most commonly used middle-of-the-road scenario)
  * - Period: near-term_2021-2040 (most relevant timeframe)
- * - All 27 climate indices
+ * - All active climate indices (from the index registry)
+ *
+ * Scenarios, periods and indices are configurable via CACHE_WARM_* env vars
  */
 
-import { query } from '../config/database.js';
-
-// List of all 27 climate indices
-const CLIMATE_INDICES = [
-  // Precipitation indices
-  'cdd', 'cwd', 'prcptot', 'r10mm', 'r20mm', 'r95p', 'r99p',
-  'r95ptot', 'r99ptot', 'rx1day', 'rx5day', 'sdii',
-
-  // Temperature indices
-  'fd', 'tn10p', 'tn90p', 'tnlt2', 'tnn', 'tnx',
-  'tx10p', 'tx90p', 'txge30', 'txgt50p', 'txn', 'txx',
-
-  // Duration indices
-  'csdi', 'wsdi', 'txd_tnd'
-];
+import { resolveGeometryOptions } from '../config/geometry.js';
+import { buildClimateGeoJSON } from './geojson.js';
+import { VALID_SCENARIOS, VALID_PERIODS, parseList } from '../config/climate.js';
+import { indexRegistry } from './index-registry.js';
+import { resolveListOptions, fetchList, paginate } from './list-query.js';
+import { INDEX_LIST, MUNICIPALITY_LIST } from '../config/lists.js';
 
 /**
  * Priority indices based on expected user interest
@@ -38,69 +32,134 @@ const PRIORITY_INDICES = [
   'csdi'      // Cold Spell Duration
 ];
 
+// Defaults when CACHE_WARM_SCENARIOS / CACHE_WARM_PERIODS are not set
+const DEFAULT_SCENARIOS = ['ssp245'];
+const DEFAULT_PERIODS = ['near-term_2021-2040'];
+
+// Number of GeoJSON entries built in parallel
+const BATCH_SIZE = 5;
+
+// Longest setInterval delay (2^31 - 1 ms, about 24.8 days); Node runs longer
+// delays after 1 ms, which would re-warm continuously
+const MAX_INTERVAL_MS = 2147483647;
+
+/**
+ * Parse a warming list from an env var ("all" selects every valid value)
+ * Unknown values are dropped with a warning
+ */
+function parseWarmList(name, valid, defaults) {
+  const raw = process.env[name];
+  if (raw && raw.trim().toLowerCase() === 'all') {
+    return valid;
+  }
+
+  const values = parseList(raw, defaults);
+  const unknown = values.filter(value => !valid.includes(value));
+  if (unknown.length > 0) {
+    console.warn(`⚠️  ${name}: ignoring unknown value(s) ${unknown.join(', ')}`);
+  }
+  return values.filter(value => valid.includes(value));
+}
+
+/**
+ * Split a list into batches
+ */
+function toBatches(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
 class CacheWarmingService {
   constructor() {
     this.warmedCount = 0;
     this.failedCount = 0;
     this.startTime = null;
+    this.timer = null;
+
+    // Progress reported by /health
+    this.state = 'idle'; // idle | disabled | running | complete | failed
+    this.totalCount = 0;
+    this.currentTarget = null;
+    this.lastRun = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Resolve warming configuration from environment variables
+   *
+   * CACHE_WARMING           - "true" to warm on startup (default: false)
+   * CACHE_WARM_SCENARIOS    - Comma-separated scenarios or "all" (default: ssp245)
+   * CACHE_WARM_PERIODS      - Comma-separated periods or "all" (default: near-term_2021-2040)
+   * CACHE_WARM_INDICES      - Comma-separated indices or "all" (default: all)
+   * CACHE_WARM_INTERVAL_HOURS - Re-warm interval (default: 90% of the shortest warmed TTL;
+   *                             capped at about 596 hours, the longest timer delay)
+   */
+  getConfig(cache) {
+    // Metadata has the shortest TTL of the warmed entries
+    const shortestTtl = Math.min(cache.ttlSettings.metadata, cache.ttlSettings.geojson);
+    const intervalHours = parseFloat(process.env.CACHE_WARM_INTERVAL_HOURS);
+
+    return {
+      enabled: process.env.CACHE_WARMING === 'true',
+      scenarios: parseWarmList('CACHE_WARM_SCENARIOS', VALID_SCENARIOS, DEFAULT_SCENARIOS),
+      periods: parseWarmList('CACHE_WARM_PERIODS', VALID_PERIODS, DEFAULT_PERIODS),
+      indices: parseWarmList('CACHE_WARM_INDICES', indexRegistry.activeCodes(), indexRegistry.activeCodes()),
+      intervalMs: Math.min(intervalHours > 0
+        ? intervalHours * 60 * 60 * 1000
+        : Math.floor(shortestTtl * 0.9), MAX_INTERVAL_MS)
+    };
+  }
+
+  /**
+   * Current warming progress (for /health)
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      progress: {
+        warmed: this.warmedCount,
+        failed: this.failedCount,
+        total: this.totalCount,
+        percent: this.totalCount > 0
+          ? Math.round(((this.warmedCount + this.failedCount) / this.totalCount) * 100)
+          : 0
+      },
+      current: this.currentTarget,
+      lastRun: this.lastRun,
+      nextRunAt: this.nextRunAt
+    };
   }
 
   /**
    * Build GeoJSON data directly from database (same logic as API endpoint)
    */
-  async buildGeoJSON(scenario, period, index) {
-    const result = await query(`
-      SELECT
-        json_build_object(
-          'type', 'FeatureCollection',
-          'features', json_agg(
-            json_build_object(
-              'type', 'Feature',
-              'id', m.id,
-              'geometry', ST_AsGeoJSON(m.geom)::json,
-              'properties', json_build_object(
-                'municipality_name', m.municipality_name,
-                'municipality_code', m.municipality_code,
-                'province', m.province,
-                'district_name', m.district_name,
-                'centroid_lat', m.centroid_lat,
-                'centroid_lon', m.centroid_lon,
-                'area_km2', m.area_km2,
-                'scenario', cd.scenario,
-                'period', cd.period,
-                'period_start', cd.period_start,
-                'period_end', cd.period_end,
-                'index_code', '${index}',
-                'value', cd.${index}
-              )
-            )
-          )
-        ) as geojson
-      FROM public.municipalities m
-      JOIN public.climate_data cd ON cd.municipality_id = m.id
-      WHERE cd.scenario = $1
-        AND cd.period = $2
-        AND m.geom IS NOT NULL
-        AND cd.${index} IS NOT NULL
-    `, [scenario, period]);
-
-    return result.rows[0]?.geojson || null;
+  async buildGeoJSON(scenario, period, index, options = {}) {
+    return buildClimateGeoJSON(scenario, period, index, options);
   }
 
   /**
    * Warm a single cache entry
    */
-  async warmEntry(cache, scenario, period, index) {
+  async warmEntry(cache, scenario, period, index, geometryQuery = {}) {
     try {
-      const key = `GET:/climate-data/geojson/${scenario}/${period}/${index}`;
+      // Use the same key the cache middleware derives for the API request
+      const key = cache.generateKey({
+        method: 'GET',
+        originalUrl: `/climate-data/geojson/${scenario}/${period}/${index}`,
+        query: geometryQuery
+      });
 
       // Build the data
-      const data = await this.buildGeoJSON(scenario, period, index);
+      const data = await this.buildGeoJSON(
+        scenario, period, index, resolveGeometryOptions(geometryQuery)
+      );
 
       if (data) {
-        // Manually set in cache with appropriate TTL
-        const ttl = 30 * 24 * 60 * 60 * 1000; // 30 days for GeoJSON
-        cache.set(key, { success: true, data }, ttl);
+        // Manually set in cache with the GeoJSON TTL
+        await cache.set(key, data, cache.ttlSettings.geojson);
         this.warmedCount++;
         return true;
       }
@@ -115,105 +174,77 @@ class CacheWarmingService {
   }
 
   /**
-   * Warm Tier 1: Essential 48 combinations
-   * SSP245 × near-term × 27 indices
+   * Warm GeoJSON for each configured scenario × period × index
+   * Priority indices are warmed first for every combination
    */
-  async warmTier1(cache) {
-    console.log('\n🔥 Cache Warming - Tier 1: Essential Data');
+  async warmGeoJSON(cache, { scenarios, periods, indices }) {
+    console.log('\n🔥 Cache Warming - GeoJSON');
     console.log('==========================================');
-    console.log('Scenario: ssp245 (middle-of-the-road)');
-    console.log('Period: near-term_2021-2040');
-    console.log(`Indices: ${CLIMATE_INDICES.length} climate indices\n`);
-
-    const scenario = 'ssp245';
-    const period = 'near-term_2021-2040';
-
-    // Warm priority indices first (in parallel batches of 5)
-    console.log('⭐ Warming priority indices first...');
-    const priorityBatches = [];
-    for (let i = 0; i < PRIORITY_INDICES.length; i += 5) {
-      const batch = PRIORITY_INDICES.slice(i, i + 5);
-      priorityBatches.push(batch);
-    }
-
-    for (const batch of priorityBatches) {
-      await Promise.all(
-        batch.map(index => this.warmEntry(cache, scenario, period, index))
-      );
-      console.log(`  ✓ Warmed ${batch.join(', ')}`);
+    console.log(`Scenarios: ${scenarios.join(', ')}`);
+    console.log(`Periods: ${periods.join(', ')}`);
+    console.log(`Indices: ${indices.length} climate indices\n`);
+
+    const orderedIndices = [
+      ...PRIORITY_INDICES.filter(idx => indices.includes(idx)),
+      ...indices.filter(idx => !PRIORITY_INDICES.includes(idx))
+    ];
+
+    for (const scenario of scenarios) {
+      for (const period of periods) {
+        console.log(`⭐ ${scenario} / ${period}`);
+
+        for (const batch of toBatches(orderedIndices, BATCH_SIZE)) {
+          this.currentTarget = `${scenario}/${period}/${batch.join(',')}`;
+          await Promise.all(
+            batch.map(index => this.warmEntry(cache, scenario, period, index))
+          );
+          console.log(`  ✓ Warmed ${batch.join(', ')}`);
+        }
+      }
     }
+  }
 
-    // Warm remaining indices
-    const remainingIndices = CLIMATE_INDICES.filter(
-      idx => !PRIORITY_INDICES.includes(idx)
-    );
-
-    if (remainingIndices.length > 0) {
-      console.log('\n📊 Warming remaining indices...');
-      const remainingBatches = [];
-      for (let i = 0; i < remainingIndices.length; i += 5) {
-        const batch = remainingIndices.slice(i, i + 5);
-        remainingBatches.push(batch);
-      }
+  /**
+   * Warm Tier 1: Essential combinations
+   * SSP245 × near-term × all active indices
+   */
+  async warmTier1(cache) {
+    await this.warmGeoJSON(cache, {
+      scenarios: DEFAULT_SCENARIOS,
+      periods: DEFAULT_PERIODS,
+      indices: indexRegistry.activeCodes()
+    });
+  }
 
-      for (const batch of remainingBatches) {
-        await Promise.all(
-          batch.map(index => this.warmEntry(cache, scenario, period, index))
-        );
-        console.log(`  ✓ Warmed ${batch.join(', ')}`);
-      }
-    }
+  /**
+   * Warm the unfiltered first page of a list endpoint
+   * Built the same way as the route response, so a warmed hit and a miss agree
+   */
+  async warmList(cache, path, definition, ttl) {
+    const options = resolveListOptions(definition, {});
+    const { rows, total } = await fetchList(definition, options);
+
+    // paginate() only reads the mount path and query of the request
+    const req = { baseUrl: path, path: '/', query: {} };
+
+    await cache.set(`GET:${path}`, {
+      success: true,
+      ...paginate(req, options, rows.length, total),
+      data: rows
+    }, ttl);
+    console.log(`  ✓ Warmed ${path}`);
   }
 
   /**
    * Warm metadata endpoints (very fast, static data)
+   * Same keys and TTLs the cache middleware uses for these routes
    */
   async warmMetadata(cache) {
     console.log('\n📚 Warming metadata endpoints...');
 
     try {
-      // Get all indices
-      const indicesResult = await query(`
-        SELECT
-          id, index_code, index_name, category, description,
-          technical_definition, plain_language_description,
-          unit, interpretation, risk_direction, sector,
-          baseline_period, display_order, color_scheme,
-          color_palette_type, anomaly_direction, is_active
-        FROM public.climate_indices
-        WHERE is_active = true
-        ORDER BY display_order, category, index_code
-      `);
-
-      const indicesData = {
-        success: true,
-        count: indicesResult.rows.length,
-        data: indicesResult.rows
-      };
-
-      // Cache with 7-day TTL
-      const ttl = 7 * 24 * 60 * 60 * 1000;
-      cache.set('GET:/indices', indicesData, ttl);
-      console.log('  ✓ Warmed /indices');
-
-      // Get all municipalities
-      const municResult = await query(`
-        SELECT
-          id, objectid, municipality_name, municipality_code,
-          province, district_code, district_name, category,
-          centroid_lat, centroid_lon, area_km2
-        FROM public.municipalities
-        ORDER BY province, municipality_name
-      `);
-
-      const municData = {
-        success: true,
-        count: municResult.rows.length,
-        data: municResult.rows
-      };
-
-      cache.set('GET:/municipalities', municData, ttl);
-      console.log('  ✓ Warmed /municipalities');
+      await this.warmList(cache, '/indices', INDEX_LIST, cache.ttlSettings.metadata);
+      await this.warmList(cache, '/municipalities', MUNICIPALITY_LIST, cache.ttlSettings.municipalities);
 
       this.warmedCount += 2;
     } catch (error) {
@@ -224,11 +255,22 @@ class CacheWarmingService {
 
   /**
    * Run complete cache warming process
+   * Overlapping runs are skipped (a scheduled run may fire while one is in progress)
    */
-  async warmCache(cache) {
+  async warmCache(cache, config = this.getConfig(cache)) {
+    if (this.state === 'running') {
+      console.log('⏭️  Cache warming already in progress, skipping');
+      return;
+    }
+
+    const { scenarios, periods, indices } = config;
+
+    this.state = 'running';
     this.startTime = Date.now();
     this.warmedCount = 0;
     this.failedCount = 0;
+    // 2 metadata entries + one GeoJSON entry per combination
+    this.totalCount = 2 + scenarios.length * periods.length * indices.length;
 
     console.log('\n');
     console.log('═══════════════════════════════════════════════');
@@ -237,12 +279,14 @@ class CacheWarmingService {
 
     try {
       // Warm metadata first (fast)
+      this.currentTarget = 'metadata';
       await this.warmMetadata(cache);
 
-      // Warm Tier 1 GeoJSON data
-      await this.warmTier1(cache);
+      // Warm configured GeoJSON combinations
+      await this.warmGeoJSON(cache, { scenarios, periods, indices });
 
       const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
+      this.finishRun('complete', duration);
 
       console.log('\n');
       console.log('═══════════════════════════════════════════════');
@@ -251,14 +295,85 @@ class CacheWarmingService {
       console.log(`  Total warmed: ${this.warmedCount} entries`);
       console.log(`  Failed: ${this.failedCount} entries`);
       console.log(`  Duration: ${duration}s`);
-      console.log(`  Cache size: ${cache.cache.size}/${cache.maxSize}`);
+      const { backend, size } = await cache.getStats();
+      console.log(`  Cache size: ${size} entries (${backend} store)`);
       console.log('═══════════════════════════════════════════════\n');
 
     } catch (error) {
+      this.finishRun('failed', ((Date.now() - this.startTime) / 1000).toFixed(2), error);
       console.error('\n❌ Cache warming failed:', error);
       throw error;
     }
   }
+
+  /**
+   * Record the outcome of a warming run
+   */
+  finishRun(state, duration, error = null) {
+    this.state = state;
+    this.currentTarget = null;
+    this.lastRun = {
+      startedAt: new Date(this.startTime).toISOString(),
+      completedAt: new Date().toISOString(),
+      durationSeconds: parseFloat(duration),
+      warmed: this.warmedCount,
+      failed: this.failedCount,
+      ...(error && { error: error.message })
+    };
+  }
+
+  /**
+   * Re-warm now (if enabled), e.g. after the data version changes
+   */
+  rewarm(cache) {
+    const config = this.getConfig(cache);
+    if (config.enabled) {
+      this.warmCache(cache, config).catch(() => {
+        // Already logged; the next scheduled run retries
+      });
+    }
+  }
+
+  /**
+   * Start background warming (if enabled) and schedule re-warming
+   * Returns immediately - warming never delays the server accepting requests
+   */
+  start(cache) {
+    const config = this.getConfig(cache);
+
+    if (!config.enabled) {
+      this.state = 'disabled';
+      console.log('Cache warming disabled (set CACHE_WARMING=true to enable)');
+      return;
+    }
+
+    const run = () => {
+      this.nextRunAt = new Date(Date.now() + config.intervalMs).toISOString();
+      this.warmCache(cache, config).catch(() => {
+        // Already logged; the next scheduled run retries
+      });
+    };
+
+    run();
+
+    // Re-warm before entries expire; unref so the timer never keeps the process alive
+    this.timer = setInterval(run, config.intervalMs);
+    this.timer.unref();
+
+    const hours = (config.intervalMs / (60 * 60 * 1000)).toFixed(1);
+    console.log(`Cache re-warming scheduled every ${hours}h`);
+  }
+
+  /**
+   * Stop scheduled re-warming
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.nextRunAt = null;
+    }
+  }
 }
 
 export default new CacheWarmingService();
@@ -0,0 +1,192 @@
+/**
+ * Data Catalog Service
+ * Describes what the API can serve: scenarios, periods, indices, boundary sets,
+ * and how complete the climate data is for every combination
+ *
+ * Shared by the /catalog routes and the /climate-data/scenarios and /periods lists.
+ */
+
+import { query } from '../config/database.js';
+import {
+  VALID_SCENARIOS,
+  SCENARIO_DESCRIPTIONS,
+  BASELINE_PERIOD,
+  VALID_STATISTICS,
+  VALUE_MODES
+} from '../config/climate.js';
+import { SIMPLIFICATION_LEVELS, FULL_RESOLUTION } from '../config/geometry.js';
+import { indexRegistry } from './index-registry.js';
+
+/**
+ * List scenarios with descriptions
+ * Only scenarios with climate data are listed
+ * @returns {Promise<Array>} Scenarios in VALID_SCENARIOS order
+ */
+export async function fetchScenarios() {
+  const result = await query(`
+    SELECT DISTINCT scenario
+    FROM public.climate_data
+  `);
+  const loaded = new Set(result.rows.map(row => row.scenario));
+
+  return VALID_SCENARIOS
+    .filter(scenario => loaded.has(scenario))
+    .map(scenario => ({
+      scenario,
+      ...SCENARIO_DESCRIPTIONS[scenario]
+    }));
+}
+
+/**
+ * List projection periods with their year bounds
+ * @returns {Promise<Array>} Periods in chronological order
+ */
+export async function fetchPeriods() {
+  const result = await query(`
+    SELECT period, period_start, period_end
+    FROM public.climate_periods
+    ORDER BY period_start
+  `);
+
+  return result.rows.map(row => ({
+    period: row.period,
+    label: row.period.split('_')[0],
+    period_start: row.period_start,
+    period_end: row.period_end
+  }));
+}
+
+/**
+ * List the active indices (from the index registry)
+ * @returns {Array} Index metadata in display order
+ */
+export function listIndices() {
+  return indexRegistry.activeCodes().map(code => {
+    const { index_code, index_name, category, unit, risk_direction } = indexRegistry.get(code);
+    return { index_code, index_name, category, unit, risk_direction };
+  });
+}
+
+/**
+ * List the boundary sets values can be served for
+ * Municipalities are the native unit; districts and provinces are area-weighted rollups
+ * @returns {Promise<Array>}
+ */
+export async function fetchBoundarySets() {
+  const [counts, simplified] = await Promise.all([
+    query(`
+      SELECT
+        COUNT(*)::integer as municipalities,
+        COUNT(DISTINCT district_code)::integer as districts,
+        COUNT(DISTINCT province)::integer as provinces
+      FROM public.municipalities
+    `),
+    query(`
+      SELECT DISTINCT level
+      FROM public.municipality_geometries_simplified
+    `)
+  ]);
+
+  const { municipalities, districts, provinces } = counts.rows[0];
+  const loadedLevels = new Set(simplified.rows.map(row => row.level));
+  const simplification = [
+    ...Object.keys(SIMPLIFICATION_LEVELS).filter(level => loadedLevels.has(level)),
+    FULL_RESOLUTION
+  ];
+
+  return [
+    {
+      id: 'municipality',
+      name: 'Local municipalities',
+      count: municipalities,
+      key: 'municipality_id',
+      simplification,
+      geojson: '/climate-data/geojson/:scenario/:period/:index',
+      tiles: '/climate-data/tiles/:scenario/:period/:index/:z/:x/:y.mvt'
+    },
+    {
+      id: 'district',
+      name: 'District municipalities',
+      count: districts,
+      key: 'district_code',
+      simplification,
+      geojson: '/climate-data/aggregate/district/:scenario/:period/:index/geojson'
+    },
+    {
+      id: 'province',
+      name: 'Provinces',
+      count: provinces,
+      key: 'province',
+      simplification,
+      geojson: '/climate-data/aggregate/province/:scenario/:period/:index/geojson'
+    }
+  ];
+}
+
+/**
+ * Count rows and NULL values per scenario × period × index in public.climate_data
+ * Index codes come from the registry and are safe to interpolate as column names
+ *
+ * @param {Array<string>} indices - Index codes (default: active indices)
+ * @returns {Promise<Array>} { scenario, period, index_code, row_count, null_count }
+ */
+export async function fetchCoverage(indices = indexRegistry.activeCodes()) {
+  if (indices.length === 0) {
+    return [];
+  }
+
+  const result = await query(`
+    SELECT
+      cd.scenario,
+      cd.period,
+      COUNT(*)::integer as row_count,
+      ${indices.map(index => `COUNT(cd.${index})::integer as ${index}`).join(',\n      ')}
+    FROM public.climate_data cd
+    GROUP BY cd.scenario, cd.period, cd.period_start
+    ORDER BY cd.scenario, cd.period_start
+  `);
+
+  return result.rows.flatMap(row => indices.map(index => ({
+    scenario: row.scenario,
+    period: row.period,
+    index_code: index,
+    row_count: row.row_count,
+    null_count: row.row_count - row[index]
+  })));
+}
+
+/**
+ * Build the full catalog
+ * @returns {Promise<Object>}
+ */
+export async function buildCatalog() {
+  const [scenarios, periods, boundarySets, coverage] = await Promise.all([
+    fetchScenarios(),
+    fetchPeriods(),
+    fetchBoundarySets(),
+    fetchCoverage()
+  ]);
+
+  return {
+    baseline_period: BASELINE_PERIOD,
+    scenarios,
+    periods,
+    indices: listIndices(),
+    statistics: VALID_STATISTICS,
+    modes: VALUE_MODES,
+    boundary_sets: boundarySets,
+    coverage: {
+      expected_rows: boundarySets[0].count,
+      matrix: coverage
+    }
+  };
+}
+
+export default {
+  fetchScenarios,
+  fetchPeriods,
+  listIndices,
+  fetchBoundarySets,
+  fetchCoverage,
+  buildCatalog
+};
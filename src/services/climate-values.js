@@ -0,0 +1,115 @@
+/**
+ * Climate Values Service
+ * Long-format reads from public.climate_values (one row per index value)
+ *
+ * Index codes are bound as query parameters rather than interpolated as
+ * column names, so these queries need no dynamic SQL. Values are converted to
+ * the requested mode with public.climate_value_in_mode() (migration 009).
+ */
+
+import { query } from '../config/database.js';
+import { DEFAULT_STATISTIC, DEFAULT_VALUE_MODE, AGREEMENT_THRESHOLD } from '../config/climate.js';
+
+/**
+ * Get one index's values for every municipality in a scenario/period
+ *
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {string} index - Climate index code
+ * @param {string} statistic - Ensemble statistic (default: mean)
+ * @param {string} mode - Value mode (default: anomaly)
+ * @returns {Promise<Array>} Rows ordered from highest to lowest value
+ */
+export async function fetchIndexValues(scenario, period, index, statistic = DEFAULT_STATISTIC, mode = DEFAULT_VALUE_MODE) {
+  const result = await query(`
+    SELECT
+      m.id as municipality_id,
+      m.municipality_name,
+      m.municipality_code,
+      m.province,
+      m.district_code,
+      m.district_name,
+      cv.statistic,
+      $6::text as mode,
+      public.climate_value_in_mode(cv.value, cb.value, $6) as value,
+      cb.value as baseline,
+      ca.sign_agreement >= $5 as agreement
+    FROM public.climate_values cv
+    JOIN public.municipalities m ON m.id = cv.municipality_id
+    LEFT JOIN public.climate_baselines cb
+      ON cb.municipality_id = cv.municipality_id
+      AND cb.index_code = cv.index_code
+    LEFT JOIN public.climate_agreement ca
+      ON ca.municipality_id = cv.municipality_id
+      AND ca.scenario = cv.scenario
+      AND ca.period = cv.period
+      AND ca.index_code = cv.index_code
+    WHERE cv.scenario = $1
+      AND cv.period = $2
+      AND cv.index_code = $3
+      AND cv.statistic = $4
+    ORDER BY public.climate_value_in_mode(cv.value, cb.value, $6) DESC NULLS LAST, m.municipality_name
+  `, [scenario, period, index, statistic, AGREEMENT_THRESHOLD, mode]);
+
+  return result.rows;
+}
+
+/**
+ * Get a municipality's values as one row per scenario/period/index
+ *
+ * @param {number} municipalityId - Municipality ID
+ * @param {Object} filters
+ * @param {Array<string>} filters.scenarios - SSP scenarios
+ * @param {Array<string>} filters.periods - Time periods
+ * @param {Array<string>} filters.indices - Climate index codes
+ * @param {string} filters.statistic - Ensemble statistic (default: mean)
+ * @param {string} filters.mode - Value mode (default: anomaly)
+ * @returns {Promise<Array>} Rows ordered by scenario, period and index,
+ *   with the ensemble size and sign agreement where known
+ */
+export async function fetchMunicipalityValues(municipalityId, {
+  scenarios,
+  periods,
+  indices,
+  statistic = DEFAULT_STATISTIC,
+  mode = DEFAULT_VALUE_MODE
+}) {
+  const result = await query(`
+    SELECT
+      cv.scenario,
+      cv.period,
+      cp.period_start,
+      cp.period_end,
+      cv.index_code,
+      cv.statistic,
+      $7::text as mode,
+      public.climate_value_in_mode(cv.value, cb.value, $7) as value,
+      cb.value as baseline,
+      ca.model_count,
+      ca.sign_agreement,
+      ca.sign_agreement >= $6 as agreement
+    FROM public.climate_values cv
+    JOIN public.climate_periods cp ON cp.period = cv.period
+    LEFT JOIN public.climate_baselines cb
+      ON cb.municipality_id = cv.municipality_id
+      AND cb.index_code = cv.index_code
+    LEFT JOIN public.climate_agreement ca
+      ON ca.municipality_id = cv.municipality_id
+      AND ca.scenario = cv.scenario
+      AND ca.period = cv.period
+      AND ca.index_code = cv.index_code
+    WHERE cv.municipality_id = $1
+      AND cv.scenario = ANY($2)
+      AND cv.period = ANY($3)
+      AND cv.index_code = ANY($4)
+      AND cv.statistic = $5
+    ORDER BY cv.scenario, cp.period_start, cv.index_code
+  `, [municipalityId, scenarios, periods, indices, statistic, AGREEMENT_THRESHOLD, mode]);
+
+  return result.rows;
+}
+
+export default {
+  fetchIndexValues,
+  fetchMunicipalityValues
+};
@@ -0,0 +1,150 @@
+/**
+ * CSV Export Service
+ * Content negotiation and streaming CSV output for tabular routes
+ * Output is Excel-friendly: UTF-8 with BOM, CRLF line endings, RFC 4180 quoting
+ */
+
+import { query } from '../config/database.js';
+
+// UTF-8 byte order mark so Excel detects the encoding (accented municipality names)
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Check whether the client asked for CSV (?format=csv or Accept: text/csv)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function wantsCsv(req) {
+  if (req.query.format) {
+    return String(req.query.format).toLowerCase() === 'csv';
+  }
+  return req.accepts(['json', 'csv']) === 'csv';
+}
+
+/**
+ * Load human-readable header labels for index columns from climate_indices
+ * @returns {Promise<Map<string, string>>} e.g. cdd → "Consecutive Dry Days (days)"
+ */
+export async function loadIndexLabels() {
+  const result = await query(`
+    SELECT index_code, index_name, unit
+    FROM public.climate_indices
+  `);
+
+  return new Map(result.rows.map(row => [
+    row.index_code,
+    row.unit ? `${row.index_name} (${row.unit})` : row.index_name
+  ]));
+}
+
+/**
+ * Format a single CSV field
+ * Strings that look like spreadsheet formulas are prefixed to stop them executing
+ * @param {*} value
+ * @returns {string}
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format a row of values as a CSV line
+ * @param {Array} values
+ * @returns {string}
+ */
+function formatLine(values) {
+  return values.map(formatField).join(',') + '\r\n';
+}
+
+/**
+ * Start a CSV response: headers, BOM and header row
+ * Index columns get enriched headers, e.g. "cdd - Consecutive Dry Days (days)"
+ *
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name (without extension)
+ * @param {Array<string>} columns - Column names
+ * @param {Map<string, string>} labels - Header labels by column name
+ */
+export function startCsv(res, filename, columns, labels = new Map()) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.setHeader('Vary', 'Accept');
+
+  const headers = columns.map(column => (labels.has(column) ? `${column} - ${labels.get(column)}` : column));
+  res.write(UTF8_BOM + formatLine(headers));
+}
+
+/**
+ * Write rows to a CSV response, waiting for the socket to drain when buffered
+ * @param {Object} res - Express response
+ * @param {Array<string>} columns - Column names (row keys)
+ * @param {Array<Object>} rows
+ * @returns {Promise<void>}
+ */
+export async function writeCsvRows(res, columns, rows) {
+  for (const row of rows) {
+    const ok = res.write(formatLine(columns.map(column => row[column])));
+    if (!ok && !res.destroyed) {
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    }
+    if (res.destroyed) {
+      return;
+    }
+  }
+}
+
+/**
+ * Send an in-memory result set as CSV
+ * @param {Object} res - Express response
+ * @param {Array<Object>} rows
+ * @param {Object} options
+ * @param {string} options.filename - Download file name (without extension)
+ * @param {Array<string>} options.columns - Column names (default: keys of the first row)
+ * @param {Map<string, string>} options.labels - Header labels by column name
+ * @returns {Promise<void>}
+ */
+export async function sendCsv(res, rows, options = {}) {
+  const { filename = 'export', labels = new Map() } = options;
+  const columns = options.columns || Object.keys(rows[0] || {});
+
+  startCsv(res, filename, columns, labels);
+  await writeCsvRows(res, columns, rows);
+  res.end();
+}
+
+export default {
+  wantsCsv,
+  loadIndexLabels,
+  startCsv,
+  writeCsvRows,
+  sendCsv
+};
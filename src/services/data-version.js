@@ -0,0 +1,185 @@
+/**
+ * Data Version Service
+ * Tracks the data version bumped by ETL runs (see migrations/006_create_data_versions_table.sql)
+ *
+ * The API listens for data_version_changed notifications and also polls, so a
+ * missed notification (e.g. a dropped connection or a pooler that does not pass
+ * NOTIFY through) only delays the refresh until the next poll.
+ */
+
+import { query, getClient } from '../config/database.js';
+
+// Channel used by public.bump_data_version()
+export const DATA_VERSION_CHANNEL = 'data_version_changed';
+
+/**
+ * Read the current data version
+ * @returns {Promise<Object>} { version, datasets } - version is the highest dataset version
+ */
+export async function fetchDataVersion() {
+  const result = await query(`
+    SELECT dataset, version, updated_at
+    FROM public.data_versions
+    ORDER BY dataset
+  `);
+
+  const datasets = {};
+  let version = 0;
+  for (const row of result.rows) {
+    // BIGINT is returned as a string
+    const datasetVersion = parseInt(row.version, 10);
+    datasets[row.dataset] = { version: datasetVersion, updated_at: row.updated_at };
+    version = Math.max(version, datasetVersion);
+  }
+
+  return { version, datasets };
+}
+
+/**
+ * Bump a dataset's version after a successful ETL load
+ * A missing data_versions table is reported but does not fail the load
+ *
+ * @param {string} dataset - municipalities, climate_data or climate_indices
+ * @returns {Promise<number|null>} New version, or null if versioning is not set up
+ */
+export async function bumpDataVersion(dataset) {
+  try {
+    const result = await query('SELECT public.bump_data_version($1) as version', [dataset]);
+    const version = parseInt(result.rows[0].version, 10);
+    console.log(`\n🔖 Data version bumped: ${dataset} → v${version}`);
+    return version;
+  } catch (error) {
+    console.warn(`\n⚠️  Could not bump data version for ${dataset}: ${error.message}`);
+    console.warn('   Run npm run migrate so API caches refresh after ETL runs');
+    return null;
+  }
+}
+
+class DataVersionWatcher {
+  constructor() {
+    this.version = null;
+    this.datasets = {};
+    this.client = null;
+    this.timer = null;
+    this.onChange = null;
+    this.lastCheckedAt = null;
+  }
+
+  /**
+   * Load the current version, then listen and poll for changes
+   * DATA_VERSION_POLL_SECONDS - Poll interval (default: 60, 0 disables polling)
+   *
+   * @param {Function} onChange - Called with { version, previous, datasets } when the version changes
+   */
+  async start(onChange) {
+    this.onChange = onChange;
+
+    await this.check();
+    await this.listen();
+
+    const pollSeconds = parseInt(process.env.DATA_VERSION_POLL_SECONDS || '60', 10);
+    if (pollSeconds > 0) {
+      this.timer = setInterval(() => {
+        this.check().catch(() => {});
+        // Re-establish LISTEN if the connection was lost
+        if (!this.client) {
+          this.listen().catch(() => {});
+        }
+      }, pollSeconds * 1000);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Open a dedicated connection that LISTENs for version bumps
+   */
+  async listen() {
+    let client;
+    try {
+      client = await getClient();
+
+      client.on('notification', () => {
+        this.check().catch(() => {});
+      });
+      client.on('error', error => {
+        console.error('Data version listener lost:', error.message);
+        client.release(error);
+        this.client = null;
+      });
+
+      await client.query(`LISTEN ${DATA_VERSION_CHANNEL}`);
+      this.client = client;
+    } catch (error) {
+      console.warn('Data version LISTEN unavailable, relying on polling:', error.message);
+      if (client && this.client !== client) {
+        client.release(error);
+      }
+    }
+  }
+
+  /**
+   * Read the version and report a change
+   */
+  async check() {
+    let current;
+    try {
+      current = await fetchDataVersion();
+    } catch (error) {
+      if (this.version === null) {
+        console.warn('Data versions unavailable (run npm run migrate):', error.message);
+      }
+      return;
+    }
+
+    this.lastCheckedAt = new Date().toISOString();
+    this.datasets = current.datasets;
+
+    if (current.version === this.version) {
+      return;
+    }
+
+    const previous = this.version;
+    this.version = current.version;
+
+    if (this.onChange) {
+      await this.onChange({ version: current.version, previous, datasets: current.datasets });
+    }
+  }
+
+  /**
+   * Current version details (for /health)
+   */
+  getStatus() {
+    return {
+      version: this.version,
+      datasets: this.datasets,
+      listening: this.client !== null,
+      lastCheckedAt: this.lastCheckedAt
+    };
+  }
+
+  /**
+   * Stop listening and polling
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      await client.query(`UNLISTEN ${DATA_VERSION_CHANNEL}`).catch(() => {});
+      client.release();
+    }
+  }
+}
+
+export const dataVersionWatcher = new DataVersionWatcher();
+
+export default {
+  DATA_VERSION_CHANNEL,
+  fetchDataVersion,
+  bumpDataVersion,
+  dataVersionWatcher
+};
@@ -0,0 +1,118 @@
+/**
+ * GeoJSON Service
+ * Builds climate choropleth FeatureCollections from PostGIS
+ * Shared by the GeoJSON route and the cache warming service
+ */
+
+import { query } from '../config/database.js';
+import { FULL_RESOLUTION, DEFAULT_PRECISION } from '../config/geometry.js';
+import { DEFAULT_STATISTIC, DEFAULT_VALUE_MODE, AGREEMENT_THRESHOLD } from '../config/climate.js';
+
+/**
+ * Build GeoJSON FeatureCollection for a scenario/period/index
+ * Values come from climate_values, so the index code is a query parameter
+ *
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {string} index - Climate index code
+ * @param {Object} options - Geometry and value options
+ * @param {string} options.level - Simplification level (or 'full')
+ * @param {number} options.precision - Coordinate decimal places
+ * @param {string} options.statistic - Ensemble statistic (default: mean)
+ * @param {string} options.mode - Value mode (default: anomaly)
+ * @returns {Promise<Object|null>} FeatureCollection, or null if no data
+ */
+export async function buildClimateGeoJSON(scenario, period, index, options = {}) {
+  const {
+    level = FULL_RESOLUTION,
+    precision = DEFAULT_PRECISION,
+    statistic = DEFAULT_STATISTIC,
+    mode = DEFAULT_VALUE_MODE
+  } = options;
+
+  // Simplified geometries come from the side table; 'full' never matches a row,
+  // so COALESCE falls back to the original geometry
+  const result = await query(`
+    SELECT
+      json_build_object(
+        'type', 'FeatureCollection',
+        'features', json_agg(
+          json_build_object(
+            'type', 'Feature',
+            'id', m.id,
+            'geometry', ST_AsGeoJSON(COALESCE(ms.geom, m.geom), $4)::json,
+            'properties', json_build_object(
+              'id', m.id,
+              'municipality_name', m.municipality_name,
+              'municipality_code', m.municipality_code,
+              'province', m.province,
+              'district_code', m.district_code,
+              'district_name', m.district_name,
+              'centroid_lat', m.centroid_lat,
+              'centroid_lon', m.centroid_lon,
+              'area_km2', m.area_km2,
+              'scenario', cv.scenario,
+              'period', cv.period,
+              'period_start', cp.period_start,
+              'period_end', cp.period_end,
+              'index_code', cv.index_code,
+              'statistic', cv.statistic,
+              'mode', $8::text,
+              'value', public.climate_value_in_mode(cv.value, cb.value, $8),
+              'baseline', cb.value,
+              'agreement', ca.sign_agreement >= $7
+            )
+          )
+        )
+      ) as geojson
+    FROM public.municipalities m
+    JOIN public.climate_values cv ON cv.municipality_id = m.id
+    JOIN public.climate_periods cp ON cp.period = cv.period
+    LEFT JOIN public.climate_baselines cb
+      ON cb.municipality_id = cv.municipality_id
+      AND cb.index_code = cv.index_code
+    LEFT JOIN public.climate_agreement ca
+      ON ca.municipality_id = cv.municipality_id
+      AND ca.scenario = cv.scenario
+      AND ca.period = cv.period
+      AND ca.index_code = cv.index_code
+    LEFT JOIN public.municipality_geometries_simplified ms
+      ON ms.municipality_id = m.id AND ms.level = $3
+    WHERE cv.scenario = $1
+      AND cv.period = $2
+      AND cv.index_code = $5
+      AND cv.statistic = $6
+      AND m.geom IS NOT NULL
+      AND public.climate_value_in_mode(cv.value, cb.value, $8) IS NOT NULL
+  `, [scenario, period, level, precision, index, statistic, AGREEMENT_THRESHOLD, mode]);
+
+  return result.rows[0]?.geojson || null;
+}
+
+/**
+ * Fetch municipality geometries as GeoJSON, keyed by municipality ID
+ * Used to attach geometries to values computed in JS (e.g. risk scores)
+ *
+ * @param {Object} options - Geometry options (level, precision)
+ * @returns {Promise<Map<number, Object>>} Geometry by municipality ID
+ */
+export async function fetchMunicipalityGeometries(options = {}) {
+  const { level = FULL_RESOLUTION, precision = DEFAULT_PRECISION } = options;
+
+  const result = await query(`
+    SELECT
+      m.id,
+      ST_AsGeoJSON(COALESCE(ms.geom, m.geom), $2)::json as geometry
+    FROM public.municipalities m
+    LEFT JOIN public.municipality_geometries_simplified ms
+      ON ms.municipality_id = m.id AND ms.level = $1
+    WHERE m.geom IS NOT NULL
+  `, [level, precision]);
+
+  return new Map(result.rows.map(row => [row.id, row.geometry]));
+}
+
+export default {
+  buildClimateGeoJSON,
+  fetchMunicipalityGeometries
+};
@@ -0,0 +1,327 @@
+/**
+ * GIS Export Service
+ * Writes municipality polygons with climate index columns to a GeoPackage
+ * or a zipped Shapefile, plus a sidecar index_metadata table describing each index
+ * Each index column has a companion <index>_agreement column (1 = models agree
+ * on the sign of change, 0 = they do not, empty = no ensemble information)
+ *
+ * Uses gdal-async, which is an optional dependency: where it is not installed
+ * (e.g. a slim container image) exports report themselves as unavailable.
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { query } from '../config/database.js';
+import { DEFAULT_STATISTIC, DEFAULT_VALUE_MODE } from '../config/climate.js';
+import { isRobust, fetchSignAgreement, signAgreementFor } from './agreement.js';
+import { applyValueMode } from './baselines.js';
+
+/**
+ * Supported export formats
+ */
+export const GIS_FORMATS = {
+  gpkg: {
+    driver: 'GPKG',
+    extension: 'gpkg',
+    contentType: 'application/geopackage+sqlite3'
+  },
+  shp: {
+    // GDAL writes a zipped multi-layer Shapefile when the name ends in .shp.zip
+    driver: 'ESRI Shapefile',
+    extension: 'shp.zip',
+    contentType: 'application/zip'
+  }
+};
+
+// Name of the polygon layer and the sidecar metadata table
+const DATA_LAYER = 'municipality_indices';
+const METADATA_LAYER = 'index_metadata';
+
+// DBF limits for Shapefile attributes
+const SHAPEFILE_FIELD_NAME_LENGTH = 10;
+const SHAPEFILE_STRING_WIDTH = 254;
+
+// Municipality attribute columns (before the index columns)
+const MUNICIPALITY_COLUMNS = [
+  { name: 'id', type: 'integer' },
+  { name: 'municipality_name', type: 'string' },
+  { name: 'municipality_code', type: 'string' },
+  { name: 'province', type: 'string' },
+  { name: 'district_code', type: 'string' },
+  { name: 'district_name', type: 'string' },
+  { name: 'area_km2', type: 'real' },
+  { name: 'scenario', type: 'string' },
+  { name: 'period', type: 'string' },
+  { name: 'statistic', type: 'string' },
+  { name: 'mode', type: 'string' }
+];
+
+// Readable short names for long municipality columns in Shapefiles
+const SHAPEFILE_ALIASES = {
+  municipality_name: 'mun_name',
+  municipality_code: 'mun_code',
+  district_code: 'dist_code',
+  district_name: 'dist_name'
+};
+
+// Sidecar metadata table columns (names fit the DBF limit in both formats)
+const METADATA_COLUMNS = [
+  { name: 'index_code', type: 'string' },
+  { name: 'field_name', type: 'string' },
+  { name: 'agree_fld', type: 'string' },
+  { name: 'index_name', type: 'string' },
+  { name: 'category', type: 'string' },
+  { name: 'unit', type: 'string' },
+  { name: 'risk_dir', type: 'string' },
+  { name: 'baseline', type: 'string' },
+  { name: 'scenario', type: 'string' },
+  { name: 'period', type: 'string' },
+  { name: 'statistic', type: 'string' },
+  { name: 'mode', type: 'string' },
+  { name: 'descr', type: 'string' }
+];
+
+let gdalModule;
+
+/**
+ * Load gdal-async on first use
+ * @returns {Promise<Object|null>} gdal module, or null if not installed
+ */
+async function loadGdal() {
+  if (gdalModule === undefined) {
+    try {
+      gdalModule = (await import('gdal-async')).default;
+    } catch (error) {
+      console.warn('GIS export unavailable (gdal-async not installed):', error.message);
+      gdalModule = null;
+    }
+  }
+  return gdalModule;
+}
+
+/**
+ * Check whether GIS exports can be produced in this environment
+ * @returns {Promise<boolean>}
+ */
+export async function isGISExportAvailable() {
+  return (await loadGdal()) !== null;
+}
+
+/**
+ * Map column names to Shapefile (DBF) field names of at most 10 characters
+ * Collisions after truncation get a numeric suffix
+ *
+ * @param {Array<string>} columns - Column names
+ * @returns {Map<string, string>} Field name by column name
+ */
+export function shapefileFieldNames(columns) {
+  const names = new Map();
+  const used = new Set();
+
+  for (const column of columns) {
+    let name = (SHAPEFILE_ALIASES[column] || column).slice(0, SHAPEFILE_FIELD_NAME_LENGTH);
+
+    for (let suffix = 1; used.has(name.toLowerCase()); suffix++) {
+      const tail = String(suffix);
+      name = name.slice(0, SHAPEFILE_FIELD_NAME_LENGTH - tail.length) + tail;
+    }
+
+    used.add(name.toLowerCase());
+    names.set(column, name);
+  }
+
+  return names;
+}
+
+/**
+ * Create a layer field
+ */
+function addField(gdal, layer, name, type, isShapefile) {
+  const fieldTypes = {
+    integer: gdal.OFTInteger,
+    real: gdal.OFTReal,
+    string: gdal.OFTString
+  };
+
+  const field = new gdal.FieldDefn(name, fieldTypes[type]);
+  if (type === 'string' && isShapefile) {
+    field.width = SHAPEFILE_STRING_WIDTH;
+  }
+  layer.fields.add(field);
+}
+
+/**
+ * Convert a database value for a GDAL field
+ */
+function toFieldValue(value, type, isShapefile) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'real') {
+    return parseFloat(value);
+  }
+  if (type === 'string' && isShapefile) {
+    return String(value).slice(0, SHAPEFILE_STRING_WIDTH);
+  }
+  return value;
+}
+
+/**
+ * Write a GeoPackage or zipped Shapefile for a scenario/period
+ * Index codes must be validated by the caller (they are interpolated as column names)
+ *
+ * @param {string} format - 'gpkg' or 'shp'
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {Array<string>} indices - Index columns to attach
+ * @param {string} statistic - Ensemble statistic (default: mean)
+ * @param {string} mode - Value mode (default: anomaly)
+ * @returns {Promise<Object>} { path, filename, contentType, cleanup } - call cleanup() when sent
+ */
+export async function buildGISExport(format, scenario, period, indices, statistic = DEFAULT_STATISTIC, mode = DEFAULT_VALUE_MODE) {
+  const gdal = await loadGdal();
+  if (!gdal) {
+    throw new Error('GIS export is not available on this server');
+  }
+
+  const { driver, extension, contentType } = GIS_FORMATS[format];
+  const isShapefile = format === 'shp';
+
+  const [features, metadata] = await Promise.all([
+    query(`
+      SELECT
+        m.id,
+        m.municipality_name,
+        m.municipality_code,
+        m.province,
+        m.district_code,
+        m.district_name,
+        m.area_km2,
+        cd.municipality_id,
+        cd.scenario,
+        cd.period,
+        cd.statistic,
+        $4::text as mode,
+        ${indices.map(index => `cd.${index}`).join(',\n        ')},
+        ST_AsBinary(m.geom) as wkb
+      FROM public.municipalities m
+      JOIN public.climate_data_statistics cd ON cd.municipality_id = m.id
+      WHERE cd.scenario = $1
+        AND cd.period = $2
+        AND cd.statistic = $3
+        AND m.geom IS NOT NULL
+      ORDER BY m.id
+    `, [scenario, period, statistic, mode]),
+    query(`
+      SELECT index_code, index_name, category, unit, risk_direction, baseline_period, description
+      FROM public.climate_indices
+      WHERE index_code = ANY($1)
+    `, [indices])
+  ]);
+
+  await applyValueMode(features.rows, indices, mode);
+
+  const signAgreement = await fetchSignAgreement(
+    features.rows.map(row => ({ municipality_id: row.id, scenario, period })),
+    indices
+  );
+  for (const row of features.rows) {
+    const fractions = signAgreementFor(signAgreement, { municipality_id: row.id, scenario, period });
+    for (const index of indices) {
+      const robust = isRobust(fractions[index]);
+      row[`${index}_agreement`] = robust === null ? null : Number(robust);
+    }
+  }
+
+  const columns = [
+    ...MUNICIPALITY_COLUMNS,
+    ...indices.map(index => ({ name: index, type: 'real' })),
+    ...indices.map(index => ({ name: `${index}_agreement`, type: 'integer' }))
+  ];
+  const fieldNames = isShapefile
+    ? shapefileFieldNames(columns.map(column => column.name))
+    : new Map(columns.map(column => [column.name, column.name]));
+
+  const directory = await mkdtemp(join(tmpdir(), 'climate-export-'));
+  const suffix = [
+    statistic === DEFAULT_STATISTIC ? '' : `_${statistic}`,
+    mode === DEFAULT_VALUE_MODE ? '' : `_${mode}`
+  ].join('');
+  const filename = `climate-data_${scenario}_${period}${suffix}.${extension}`;
+  const path = join(directory, filename);
+  const cleanup = () => rm(directory, { recursive: true, force: true });
+
+  try {
+    const dataset = await gdal.drivers.get(driver).createAsync(path);
+
+    // Polygon layer with index columns
+    const layer = await dataset.layers.createAsync(
+      DATA_LAYER,
+      gdal.SpatialReference.fromEPSG(4326),
+      gdal.wkbMultiPolygon
+    );
+    for (const column of columns) {
+      addField(gdal, layer, fieldNames.get(column.name), column.type, isShapefile);
+    }
+
+    for (const row of features.rows) {
+      const feature = new gdal.Feature(layer);
+      for (const column of columns) {
+        feature.fields.set(
+          fieldNames.get(column.name),
+          toFieldValue(row[column.name], column.type, isShapefile)
+        );
+      }
+      feature.setGeometry(gdal.Geometry.fromWKB(row.wkb));
+      await layer.features.addAsync(feature);
+    }
+
+    // Sidecar table describing each index column
+    const metadataLayer = await dataset.layers.createAsync(METADATA_LAYER, null, gdal.wkbNone);
+    for (const column of METADATA_COLUMNS) {
+      addField(gdal, metadataLayer, column.name, column.type, isShapefile);
+    }
+
+    const metadataByCode = new Map(metadata.rows.map(row => [row.index_code, row]));
+    for (const index of indices) {
+      const meta = metadataByCode.get(index) || {};
+      const values = {
+        index_code: index,
+        field_name: fieldNames.get(index),
+        agree_fld: fieldNames.get(`${index}_agreement`),
+        index_name: meta.index_name,
+        category: meta.category,
+        unit: mode === 'percent_change' ? '%' : meta.unit,
+        risk_dir: meta.risk_direction,
+        baseline: meta.baseline_period,
+        scenario,
+        period,
+        statistic,
+        mode,
+        descr: meta.description
+      };
+
+      const feature = new gdal.Feature(metadataLayer);
+      for (const column of METADATA_COLUMNS) {
+        feature.fields.set(column.name, toFieldValue(values[column.name], column.type, isShapefile));
+      }
+      await metadataLayer.features.addAsync(feature);
+    }
+
+    await dataset.flushAsync();
+    dataset.close();
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  return { path, filename, contentType, cleanup };
+}
+
+export default {
+  GIS_FORMATS,
+  isGISExportAvailable,
+  shapefileFieldNames,
+  buildGISExport
+};
@@ -0,0 +1,166 @@
+/**
+ * Climate Index Registry
+ * Single source of truth for which climate indices exist, loaded from
+ * public.climate_indices at startup and refreshed on demand
+ *
+ * An index is usable when it has a matching column in the public.climate_data
+ * view (see refresh_climate_data_view()); it is exposed by the API only while
+ * is_active = true. Queries on the wide view interpolate index codes as column
+ * names, so only registered codes may reach SQL.
+ */
+
+import { query } from '../config/database.js';
+
+// Index codes double as column names
+const INDEX_CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+class IndexRegistry {
+  constructor() {
+    this.indices = new Map();
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load (or reload) the registry from climate_indices
+   * @returns {Promise<IndexRegistry>}
+   */
+  async load() {
+    const result = await query(`
+      SELECT
+        ci.index_code,
+        ci.index_name,
+        ci.category,
+        ci.unit,
+        ci.risk_direction,
+        ci.display_order,
+        ci.is_active,
+        EXISTS (
+          SELECT 1
+          FROM information_schema.columns c
+          WHERE c.table_schema = 'public'
+            AND c.table_name = 'climate_data'
+            AND c.column_name = ci.index_code
+        ) as has_column
+      FROM public.climate_indices ci
+      ORDER BY ci.display_order, ci.index_code
+    `);
+
+    const indices = new Map();
+    for (const row of result.rows) {
+      if (!INDEX_CODE_PATTERN.test(row.index_code) || !row.has_column) {
+        console.warn(`⚠️  Climate index ${row.index_code} has no climate_data column, ignoring`);
+        continue;
+      }
+
+      indices.set(row.index_code, {
+        index_code: row.index_code,
+        index_name: row.index_name,
+        category: row.category,
+        unit: row.unit,
+        risk_direction: row.risk_direction,
+        display_order: row.display_order,
+        is_active: row.is_active
+      });
+    }
+
+    this.indices = indices;
+    this.loadedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * All registered index codes, active or not (e.g. for ETL column mapping)
+   * @returns {Array<string>}
+   */
+  allCodes() {
+    return Array.from(this.indices.keys());
+  }
+
+  /**
+   * Index codes exposed by the API, in display order
+   * @returns {Array<string>}
+   */
+  activeCodes() {
+    return this.allCodes().filter(code => this.indices.get(code).is_active);
+  }
+
+  /**
+   * Get an index's metadata
+   * @returns {Object|null}
+   */
+  get(code) {
+    return this.indices.get(code) || null;
+  }
+
+  /**
+   * Check whether an index is registered and active
+   */
+  isActive(code) {
+    return this.indices.get(code)?.is_active === true;
+  }
+
+  /**
+   * Validate requested index codes
+   * Unknown and inactive indices are both rejected
+   *
+   * @param {string|Array<string>} codes - One or more index codes
+   * @returns {Object|null} Error body ({ error, valid_indices }), or null if all are active
+   */
+  validate(codes) {
+    const list = Array.isArray(codes) ? codes : [codes];
+
+    const unknown = list.filter(code => !this.indices.has(code));
+    if (unknown.length > 0) {
+      return {
+        error: `Invalid climate index: ${unknown.join(', ')}`,
+        valid_indices: this.activeCodes()
+      };
+    }
+
+    const inactive = list.filter(code => !this.isActive(code));
+    if (inactive.length > 0) {
+      return {
+        error: `Climate index is not active: ${inactive.join(', ')}`,
+        valid_indices: this.activeCodes()
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Registry summary (for /health and refresh responses)
+   */
+  getStatus() {
+    return {
+      registered: this.indices.size,
+      active: this.activeCodes().length,
+      loadedAt: this.loadedAt
+    };
+  }
+}
+
+export const indexRegistry = new IndexRegistry();
+
+/**
+ * Select list of a climate_data_statistics row (aliased cd) with only the given
+ * index columns, used instead of cd.* so inactive index columns stay hidden
+ * @param {Array<string>} indices - Registered index codes (safe to interpolate)
+ * @returns {string} SQL select list
+ */
+export function climateDataColumns(indices) {
+  return [
+    'cd.id',
+    'cd.municipality_id',
+    'cd.scenario',
+    'cd.period',
+    'cd.statistic',
+    'cd.period_start',
+    'cd.period_end',
+    ...indices.map(index => `cd.${index}`),
+    'cd.created_at',
+    'cd.updated_at'
+  ].join(',\n        ');
+}
+
+export default indexRegistry;
@@ -0,0 +1,237 @@
+/**
+ * List Query Service
+ * Pagination, sorting, filtering and sparse fieldsets for list endpoints
+ *
+ * A list definition names the table, the columns clients may select and sort
+ * on, and the filters it accepts:
+ *
+ *   {
+ *     table: 'public.municipalities',
+ *     columns: ['id', 'municipality_name', ...],
+ *     defaultSort: ['province', 'municipality_name'],
+ *     tiebreaker: 'id',
+ *     conditions: [],   // optional fixed conditions without parameters (e.g. is_active = true)
+ *     filters: {
+ *       min_area_km2: { spec: { type: 'number', min: 0 }, condition: p => `area_km2 >= ${p}`, value: Number }
+ *     }
+ *   }
+ *
+ * listQuerySpecs() turns a definition into validate() query specs, so column
+ * names and filter values are checked before fetchList() interpolates them.
+ * The definitions live in config/lists.js.
+ */
+
+import { query } from '../config/database.js';
+
+// Largest page a client can request
+export const MAX_LIMIT = 1000;
+
+/**
+ * Build the validate() query specs of a list endpoint
+ * @param {Object} definition - List definition
+ * @returns {Object} Query field specs
+ */
+export function listQuerySpecs(definition) {
+  const { columns, filters = {} } = definition;
+
+  return {
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, label: 'limit' },
+    offset: { type: 'integer', min: 0, label: 'offset' },
+    sort: {
+      type: 'list',
+      items: {
+        type: 'string',
+        values: [...columns, ...columns.map(column => `-${column}`)],
+        ignoreCase: true,
+        code: 'invalid_sort',
+        label: 'sort column'
+      }
+    },
+    fields: {
+      type: 'list',
+      items: { type: 'string', values: columns, ignoreCase: true, code: 'invalid_field', label: 'field' }
+    },
+    ...Object.fromEntries(
+      Object.entries(filters).map(([name, filter]) => [name, filter.spec])
+    )
+  };
+}
+
+/**
+ * Split a comma-separated parameter into lowercase items
+ */
+function parseItems(value) {
+  if (value === undefined || value === '') {
+    return [];
+  }
+  return [...new Set(String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Resolve the list options of a validated query
+ * @param {Object} definition - List definition
+ * @param {Object} params - req.query (validated with listQuerySpecs)
+ * @returns {Object} { fields, sort, limit, offset, filters }
+ */
+export function resolveListOptions(definition, params) {
+  const fields = parseItems(params.fields);
+  const sort = parseItems(params.sort);
+
+  const filters = {};
+  for (const [name, filter] of Object.entries(definition.filters || {})) {
+    const value = params[name];
+    if (value !== undefined && value !== '') {
+      filters[name] = filter.value ? filter.value(value) : value;
+    }
+  }
+
+  return {
+    fields: fields.length > 0 ? fields : definition.defaultFields || definition.columns,
+    sort: sort.length > 0 ? sort : definition.defaultSort,
+    limit: params.limit ? Number(params.limit) : null,
+    offset: params.offset ? Number(params.offset) : 0,
+    filters
+  };
+}
+
+/**
+ * Fetch one page of a list
+ * Column names come from the definition (validated by listQuerySpecs) and are
+ * safe to interpolate; filter values are bound as parameters
+ *
+ * @param {Object} definition - List definition
+ * @param {Object} options - Resolved list options (see resolveListOptions)
+ * @param {Object} scope - Fixed conditions of the route: { conditions, params }
+ *   where conditions use $1..$n for params (e.g. province = $1)
+ * @returns {Promise<Object>} { rows, total }
+ */
+export async function fetchList(definition, options, scope = {}) {
+  const { fields, sort, limit, offset, filters } = options;
+  const params = [...(scope.params || [])];
+  const conditions = [...(definition.conditions || []), ...(scope.conditions || [])];
+
+  for (const [name, value] of Object.entries(filters)) {
+    params.push(value);
+    conditions.push(definition.filters[name].condition(`$${params.length}`));
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join('\n        AND ')}` : '';
+
+  // The tiebreaker keeps pages stable when sort values repeat
+  const orderBy = [
+    ...sort.map(item => (item.startsWith('-')
+      ? `${item.slice(1)} DESC NULLS LAST`
+      : `${item} ASC NULLS LAST`)),
+    definition.tiebreaker
+  ].join(', ');
+
+  const pageParams = [...params];
+  let page = '';
+  if (limit !== null) {
+    pageParams.push(limit);
+    page += `LIMIT $${pageParams.length}`;
+  }
+  if (offset > 0) {
+    pageParams.push(offset);
+    page += ` OFFSET $${pageParams.length}`;
+  }
+
+  const [result, count] = await Promise.all([
+    query(`
+      SELECT
+        ${fields.join(',\n        ')}
+      FROM ${definition.table}
+      ${where}
+      ORDER BY ${orderBy}
+      ${page}
+    `, pageParams),
+    query(`
+      SELECT COUNT(*)::integer as total
+      FROM ${definition.table}
+      ${where}
+    `, params)
+  ]);
+
+  return { rows: result.rows, total: count.rows[0].total };
+}
+
+/**
+ * Build the pagination members of a list response
+ * Links keep the request's other query parameters and are relative to the API root
+ *
+ * @param {Object} req - Express request
+ * @param {Object} options - Resolved list options
+ * @param {number} count - Rows in this page
+ * @param {number} total - Rows matching the filters
+ * @returns {Object} { count, total, limit, offset, links }
+ */
+export function paginate(req, { limit, offset }, count, total) {
+  const link = (pageOffset) => {
+    const params = new URLSearchParams(
+      Object.entries(req.query).filter(([name, value]) => name !== 'offset' && typeof value === 'string')
+    );
+    if (pageOffset > 0) {
+      params.set('offset', String(pageOffset));
+    }
+    const search = params.toString();
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}${search ? `?${search}` : ''}`;
+  };
+
+  const hasNext = limit !== null && offset + count < total;
+  const hasPrev = offset > 0;
+
+  return {
+    count,
+    total,
+    limit,
+    offset,
+    links: {
+      self: link(offset),
+      next: hasNext ? link(offset + limit) : null,
+      prev: hasPrev ? link(limit === null ? 0 : Math.max(offset - limit, 0)) : null
+    }
+  };
+}
+
+/**
+ * Normalise a list query for cache keys
+ * Parameter order, case and whitespace of list items, empty values and a zero
+ * offset do not change the response, so equivalent queries share one entry
+ *
+ * @param {Object} params - req.query
+ * @returns {string} Query string with sorted keys
+ */
+export function normaliseListQuery(params) {
+  const entries = [];
+
+  for (const [name, value] of Object.entries(params)) {
+    if (typeof value !== 'string') {
+      // Repeated parameters are rejected by validation; keep them distinct
+      entries.push([name, JSON.stringify(value)]);
+      continue;
+    }
+
+    let normalised = value.trim();
+    if (name === 'sort' || name === 'fields') {
+      normalised = parseItems(normalised).join(',');
+    } else if (name === 'offset' && Number(normalised) === 0) {
+      normalised = '';
+    }
+
+    if (normalised !== '') {
+      entries.push([name, normalised]);
+    }
+  }
+
+  entries.sort(([a], [b]) => a.localeCompare(b));
+  return new URLSearchParams(entries).toString();
+}
+
+export default {
+  MAX_LIMIT,
+  listQuerySpecs,
+  resolveListOptions,
+  fetchList,
+  paginate,
+  normaliseListQuery
+};
@@ -0,0 +1,246 @@
+/**
+ * Municipality Search Service
+ * Fuzzy, accent-insensitive search over municipality names, codes, districts
+ * and provinces (GET /municipalities/search)
+ *
+ * Matching runs on public.search_text() (migration 010): unaccented, lower case,
+ * punctuation collapsed to spaces. A field matches when one of its words starts
+ * with the query (typeahead) or, outside prefix mode, when the query is
+ * trigram-similar to part of it (pg_trgm's <% operator, word_similarity >=
+ * MIN_WORD_SIMILARITY). "Beyers Naude" therefore finds "Dr Beyers Naudé" and
+ * "Nkadla" finds "Nkandla".
+ */
+
+import { transaction } from '../config/database.js';
+
+// Largest number of results a client can request
+export const MAX_SEARCH_RESULTS = 50;
+
+// Results returned when no limit is given
+export const DEFAULT_SEARCH_RESULTS = 10;
+
+// Trigrams say little about one- or two-character queries; those only prefix match
+const MIN_FUZZY_LENGTH = 3;
+
+// Fuzzy match threshold, set for the search transaction only. pg_trgm's default
+// (0.6) misses one-letter typos in short names: "nkadla" vs "nkandla" is 0.5
+const MIN_WORD_SIMILARITY = 0.5;
+
+// Searched columns; the weight ranks name and code matches above district and province ones
+const SEARCH_FIELDS = [
+  { column: 'municipality_name', weight: 1 },
+  { column: 'municipality_code', weight: 1 },
+  { column: 'district_name', weight: 0.8 },
+  { column: 'district_code', weight: 0.8 },
+  { column: 'province', weight: 0.6 }
+];
+
+/**
+ * Normalise text the way public.search_text() does
+ * @param {string} value - Text to normalise
+ * @returns {string} Unaccented, lower-case words separated by single spaces
+ */
+export function normaliseSearchText(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalise a value and map each normalised character back to the original
+ * @returns {Object} { text, offsets } where offsets[i] is the index in value
+ *   of text[i], plus a final entry for the end of the value
+ */
+function mapNormalised(value) {
+  let text = '';
+  const offsets = [];
+
+  for (let index = 0; index < value.length; index++) {
+    for (const char of normaliseSearchText(value[index]) || ' ') {
+      if (char === ' ' && (text === '' || text.endsWith(' '))) continue;
+      text += char;
+      offsets.push(index);
+    }
+  }
+
+  if (text.endsWith(' ')) {
+    text = text.slice(0, -1);
+    offsets.pop();
+  }
+  offsets.push(value.length);
+  return { text, offsets };
+}
+
+/**
+ * Trigrams of a word, padded the way pg_trgm pads them
+ */
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const set = new Set();
+  for (let index = 0; index < padded.length - 2; index++) {
+    set.add(padded.slice(index, index + 3));
+  }
+  return set;
+}
+
+/**
+ * Trigram similarity of two words (pg_trgm's similarity())
+ */
+function wordSimilarity(a, b) {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  const shared = [...left].filter(trigram => right.has(trigram)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Find the parts of a value that matched the query
+ * The whole query is highlighted where it occurs (at a word start if possible);
+ * otherwise each query word highlights the most similar word of the value,
+ * which covers typos such as "nkadla" -> "Nkandla"
+ *
+ * @param {string} value - Original field value
+ * @param {string} search - Normalised query
+ * @returns {Array<Array<number>>} [start, end) ranges into value
+ */
+export function findMatchRanges(value, search) {
+  const { text, offsets } = mapNormalised(value);
+  const toRange = (start, end) => [offsets[start], offsets[end - 1] + 1];
+
+  const wordStart = ` ${text}`.indexOf(` ${search}`);
+  const start = wordStart !== -1 ? wordStart : text.indexOf(search);
+  if (start !== -1) {
+    return [toRange(start, start + search.length)];
+  }
+
+  const words = [...text.matchAll(/[a-z0-9]+/g)];
+  const ranges = [];
+
+  for (const term of search.split(' ')) {
+    let best = null;
+    let bestScore = 0.3;
+    for (const word of words) {
+      const score = word[0].startsWith(term) ? 1 : wordSimilarity(term, word[0]);
+      if (score >= bestScore) {
+        best = word;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      ranges.push(toRange(best.index, best.index + best[0].length));
+    }
+  }
+
+  // Sorted and merged, so adjacent matched words form one range
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1] + 1) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = value => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Wrap the matched ranges of a value in <mark> tags (the rest is HTML-escaped)
+ */
+function highlight(value, ranges) {
+  let html = '';
+  let position = 0;
+  for (const [start, end] of ranges) {
+    html += `${escapeHtml(value.slice(position, start))}<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+    position = end;
+  }
+  return html + escapeHtml(value.slice(position));
+}
+
+/**
+ * Search municipalities
+ * @param {string} search - Normalised query (see normaliseSearchText)
+ * @param {Object} options - { prefix: word-prefix matching only, limit }
+ * @returns {Promise<Array>} Matches, best first, each with the field that
+ *   matched and its highlighted text
+ */
+export async function searchMunicipalities(search, { prefix = false, limit = DEFAULT_SEARCH_RESULTS } = {}) {
+  const fuzzy = !prefix && search.length >= MIN_FUZZY_LENGTH;
+
+  // A word of the field starts with the query
+  const prefixPattern = `(^| )${search}`;
+  const matches = text => (fuzzy
+    ? `(${text} ~ $2 OR $1 <% ${text})`
+    : `${text} ~ $2`);
+
+  // The row condition can use the trigram indexes; the field condition keeps
+  // only the fields that matched, so the best of them is the one highlighted
+  const result = await transaction(async client => {
+    await client.query(
+      `SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)`,
+      [String(MIN_WORD_SIMILARITY)]
+    );
+
+    return client.query(`
+      SELECT *
+      FROM (
+        SELECT DISTINCT ON (m.id)
+          m.id,
+          m.municipality_name,
+          m.municipality_code,
+          m.province,
+          m.district_code,
+          m.district_name,
+          m.centroid_lat,
+          m.centroid_lon,
+          f.field,
+          f.value,
+          ROUND((f.weight * CASE
+            WHEN f.text = $1 THEN 1
+            WHEN f.text ~ $2 THEN 0.9 + 0.1 * similarity($1, f.text)
+            ELSE 0.9 * word_similarity($1, f.text)
+          END)::numeric, 3)::float8 as score
+        FROM public.municipalities m
+        CROSS JOIN LATERAL (
+          VALUES
+            ${SEARCH_FIELDS.map(({ column, weight }) =>
+              `('${column}', m.${column}, public.search_text(m.${column}), ${weight}::float8)`).join(',\n            ')}
+        ) AS f(field, value, text, weight)
+        WHERE (${SEARCH_FIELDS.map(({ column }) => matches(`public.search_text(m.${column})`)).join('\n          OR ')})
+          AND ${matches('f.text')}
+        ORDER BY m.id, score DESC
+      ) ranked
+      ORDER BY score DESC, municipality_name
+      LIMIT $3
+    `, [search, prefixPattern, limit]);
+  });
+
+  return result.rows.map(({ field, value, ...row }) => {
+    const ranges = findMatchRanges(value, search);
+    return {
+      ...row,
+      match: {
+        field,
+        value,
+        ranges,
+        highlight: highlight(value, ranges)
+      }
+    };
+  });
+}
+
+export default {
+  MAX_SEARCH_RESULTS,
+  DEFAULT_SEARCH_RESULTS,
+  normaliseSearchText,
+  findMatchRanges,
+  searchMunicipalities
+};
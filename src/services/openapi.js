@@ -0,0 +1,298 @@
+/**
+ * OpenAPI Service
+ * Builds the OpenAPI 3.1 document served at /openapi.json
+ *
+ * Paths and methods are read from the Express routers, parameters and request
+ * bodies from each route's validate() schema, and summaries and response
+ * schemas from config/openapi.js - so the document follows the routers and only
+ * the prose has to be kept up to date (test/openapi.test.js enforces it).
+ */
+
+import { STATUS_CODES } from 'http';
+import {
+  OPENAPI_INFO,
+  TAGS,
+  COMPONENT_SCHEMAS,
+  OPERATIONS
+} from '../config/openapi.js';
+import { REQUEST_ID_HEADER } from '../middleware/request-id.js';
+import { PROBLEM_CONTENT_TYPE } from '../middleware/problem.js';
+import municipalitiesRoutes from '../routes/municipalities.js';
+import climateDataRoutes from '../routes/climate-data.js';
+import indicesRoutes from '../routes/indices.js';
+import riskRoutes from '../routes/risk.js';
+import catalogRoutes from '../routes/catalog.js';
+import cacheRoutes from '../routes/cache.js';
+
+// Documented routers, with the prefixes they are mounted at in index.js
+export const API_ROUTERS = [
+  { prefix: '/municipalities', router: municipalitiesRoutes, tag: 'Municipalities' },
+  { prefix: '/climate-data', router: climateDataRoutes, tag: 'Climate Data' },
+  { prefix: '/indices', router: indicesRoutes, tag: 'Indices' },
+  { prefix: '/risk', router: riskRoutes, tag: 'Risk' },
+  { prefix: '/catalog', router: catalogRoutes, tag: 'Catalog' },
+  { prefix: '/cache', router: cacheRoutes, tag: 'Cache' }
+];
+
+/**
+ * Convert an Express path to an OpenAPI path template
+ * @param {string} path - e.g. "/tiles/:scenario/:period/:index/:z/:x/:y.mvt"
+ * @returns {string} e.g. "/tiles/{scenario}/{period}/{index}/{z}/{x}/{y}.mvt"
+ */
+export function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * List every route of the documented routers
+ * @returns {Array<Object>} { key, method, path, tag, pathParams, schema }
+ */
+export function listRoutes() {
+  const routes = [];
+
+  for (const { prefix, router, tag } of API_ROUTERS) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const path = toOpenApiPath(`${prefix}${layer.route.path === '/' ? '' : layer.route.path}`);
+      const schema = layer.route.stack.map(handler => handler.handle.schema).find(Boolean) || null;
+      const pathParams = [...path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({
+          key: `${method.toUpperCase()} ${path}`,
+          method,
+          path,
+          tag,
+          pathParams,
+          schema
+        });
+      }
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Convert a validate() field spec to a JSON Schema
+ * Runtime value lists (e.g. active indices) are read when the document is built
+ */
+function fieldSchema(spec) {
+  const schema = {};
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      schema.type = spec.type;
+      if (spec.min !== undefined) schema.minimum = spec.min;
+      if (spec.max !== undefined) schema.maximum = spec.max;
+      break;
+
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+
+    case 'list':
+    case 'array':
+      schema.type = 'array';
+      if (spec.items) schema.items = fieldSchema(spec.items);
+      if (spec.minItems !== undefined) schema.minItems = spec.minItems;
+      if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+      break;
+
+    case 'object':
+      Object.assign(schema, objectSchema(spec.properties || {}));
+      break;
+
+    default: {
+      schema.type = 'string';
+      if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+      if (spec.pattern) schema.pattern = spec.pattern.source;
+      const values = typeof spec.values === 'function' ? spec.values() : spec.values;
+      if (values && values.length > 0) schema.enum = values;
+    }
+  }
+
+  if (spec.label) {
+    schema.description = spec.label.charAt(0).toUpperCase() + spec.label.slice(1);
+  }
+  return schema;
+}
+
+/**
+ * Convert a map of field specs to an object JSON Schema
+ */
+function objectSchema(specs) {
+  const required = Object.keys(specs).filter(name => specs[name].required);
+
+  return {
+    type: 'object',
+    ...(required.length > 0 && { required }),
+    properties: Object.fromEntries(
+      Object.entries(specs).map(([name, spec]) => [name, fieldSchema(spec)])
+    )
+  };
+}
+
+/**
+ * Build the parameters of an operation
+ */
+function buildParameters(route, operation) {
+  const params = route.schema?.params || {};
+  const query = { ...(route.schema?.query || {}) };
+
+  // CSV routes take ?format=csv (unless the route defines format itself)
+  if (operation.csv && !query.format) {
+    query.format = { type: 'string', values: ['json', 'csv'], label: 'response format (or Accept: text/csv)' };
+  }
+
+  const pathParameters = route.pathParams.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: params[name] ? fieldSchema(params[name]) : { type: 'string' }
+  }));
+
+  // Comma-separated lists are form arrays without explode (?indices=cdd,wsdi)
+  const queryParameters = Object.entries(query).map(([name, spec]) => ({
+    name,
+    in: 'query',
+    required: Boolean(spec.required),
+    schema: fieldSchema(spec),
+    ...(spec.type === 'list' && { style: 'form', explode: false })
+  }));
+
+  return [...pathParameters, ...queryParameters];
+}
+
+/**
+ * Build a problem+json response object
+ */
+function problemResponse(status) {
+  return {
+    description: STATUS_CODES[status],
+    headers: { [REQUEST_ID_HEADER]: { $ref: '#/components/headers/RequestId' } },
+    content: {
+      [PROBLEM_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } }
+    }
+  };
+}
+
+/**
+ * Build the responses of an operation
+ */
+function buildResponses(route, operation, hasBody) {
+  const headers = { [REQUEST_ID_HEADER]: { $ref: '#/components/headers/RequestId' } };
+  const content = operation.content || {
+    'application/json': { schema: operation.response || { type: 'object' } },
+    ...(operation.csv && { 'text/csv': { schema: { type: 'string' } } })
+  };
+
+  const responses = {
+    200: { description: 'OK', headers, content }
+  };
+
+  if (operation.noContent) {
+    responses[204] = { description: 'No Content', headers };
+  }
+
+  const errors = new Set(operation.errors || []);
+  if (route.schema || route.pathParams.length > 0 || hasBody) errors.add(400);
+  if (operation.admin) {
+    errors.add(401);
+    errors.add(403);
+  }
+
+  for (const status of [...errors].sort((a, b) => a - b)) {
+    responses[status] = problemResponse(status);
+  }
+  responses.default = { ...problemResponse(500), description: 'Unexpected error' };
+
+  return responses;
+}
+
+/**
+ * Build the OpenAPI operation object of a route
+ */
+function buildOperation(route) {
+  const operation = OPERATIONS[route.key] || { summary: route.key };
+  const body = route.schema?.body ? objectSchema(route.schema.body) : operation.requestBody;
+
+  return {
+    tags: [route.tag],
+    summary: operation.summary,
+    ...(operation.description && { description: operation.description }),
+    operationId: route.key
+      .toLowerCase()
+      .replace(/[^a-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : '')),
+    parameters: buildParameters(route, operation),
+    ...(body && {
+      requestBody: {
+        required: Boolean(route.schema?.body),
+        content: { 'application/json': { schema: body } }
+      }
+    }),
+    responses: buildResponses(route, operation, Boolean(body)),
+    security: operation.admin ? [{ adminToken: [] }] : []
+  };
+}
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function buildOpenApiSpec() {
+  const paths = {};
+
+  for (const route of listRoutes()) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: OPENAPI_INFO,
+    servers: [{ url: '/' }],
+    tags: TAGS,
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      headers: {
+        RequestId: {
+          description: 'Correlation ID of the request (echoed from the request header when valid)',
+          schema: { type: 'string' }
+        }
+      },
+      securitySchemes: {
+        adminToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'ADMIN_TOKEN from the server environment'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Compare the routers with the documented operations
+ * @returns {Object} { undocumented, stale } - route keys without an OPERATIONS
+ *   entry, and OPERATIONS entries without a route
+ */
+export function checkOperationCoverage() {
+  const routeKeys = listRoutes().map(route => route.key);
+
+  return {
+    undocumented: routeKeys.filter(key => !OPERATIONS[key]?.summary),
+    stale: Object.keys(OPERATIONS).filter(key => !routeKeys.includes(key))
+  };
+}
+
+export default {
+  API_ROUTERS,
+  toOpenApiPath,
+  listRoutes,
+  buildOpenApiSpec,
+  checkOperationCoverage
+};
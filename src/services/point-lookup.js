@@ -0,0 +1,143 @@
+/**
+ * Point Lookup Service
+ * Finds the municipality containing a coordinate (or the nearest one)
+ * and returns its climate record
+ */
+
+import { query } from '../config/database.js';
+import { DEFAULT_STATISTIC, DEFAULT_VALUE_MODE } from '../config/climate.js';
+import { indexRegistry, climateDataColumns } from './index-registry.js';
+import { attachAgreement } from './agreement.js';
+import { applyValueMode } from './baselines.js';
+
+// Maximum number of points accepted by a batch lookup
+export const MAX_BATCH_POINTS = 5000;
+
+// Candidates checked by exact distance when a point is outside every polygon
+const NEAREST_CANDIDATES = 5;
+
+/**
+ * Look up climate data for a list of points
+ * Containment uses the GIST index (idx_municipalities_geom) via ST_Intersects;
+ * points outside every polygon fall back to a KNN search for the nearest municipality
+ *
+ * @param {Array<{lat: number, lon: number}>} points - WGS84 coordinates
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {string} statistic - Ensemble statistic (default: mean)
+ * @param {string} mode - Value mode (default: anomaly)
+ * @returns {Promise<Array>} One result per point, in input order
+ */
+export async function lookupPoints(points, scenario, period, statistic = DEFAULT_STATISTIC, mode = DEFAULT_VALUE_MODE) {
+  const indices = indexRegistry.activeCodes();
+
+  const result = await query(`
+    WITH points AS (
+      SELECT
+        (p.ordinality - 1)::integer as point_index,
+        ST_SetSRID(ST_MakePoint(p.lon, p.lat), 4326) as geom
+      FROM unnest($1::float8[], $2::float8[]) WITH ORDINALITY AS p(lon, lat, ordinality)
+    )
+    SELECT
+      p.point_index,
+      hit.municipality_id as matched_municipality_id,
+      hit.distance_m,
+      m.municipality_name,
+      m.municipality_code,
+      m.province,
+      m.district_code,
+      m.district_name,
+      ${climateDataColumns(indices)}
+    FROM points p
+    CROSS JOIN LATERAL (
+      (
+        SELECT m.id as municipality_id, 0::float8 as distance_m
+        FROM public.municipalities m
+        WHERE ST_Intersects(m.geom, p.geom)
+        LIMIT 1
+      )
+      UNION ALL
+      (
+        SELECT candidates.id, ST_Distance(candidates.geom::geography, p.geom::geography)
+        FROM (
+          SELECT m.id, m.geom
+          FROM public.municipalities m
+          WHERE m.geom IS NOT NULL
+          ORDER BY m.geom <-> p.geom
+          LIMIT ${NEAREST_CANDIDATES}
+        ) candidates
+        WHERE NOT EXISTS (
+          SELECT 1 FROM public.municipalities m WHERE ST_Intersects(m.geom, p.geom)
+        )
+        ORDER BY 2
+        LIMIT 1
+      )
+    ) hit
+    JOIN public.municipalities m ON m.id = hit.municipality_id
+    LEFT JOIN public.climate_data_statistics cd
+      ON cd.municipality_id = hit.municipality_id
+      AND cd.scenario = $3
+      AND cd.period = $4
+      AND cd.statistic = $5
+    ORDER BY p.point_index
+  `, [
+    points.map(point => Number(point.lon)),
+    points.map(point => Number(point.lat)),
+    scenario,
+    period,
+    statistic
+  ]);
+
+  // Convert values and flag model agreement for points with climate data
+  const rowsWithData = result.rows.filter(row => row.id);
+  await applyValueMode(rowsWithData, indices, mode);
+  await attachAgreement(rowsWithData, indices);
+
+  const rowsByIndex = new Map(result.rows.map(row => [row.point_index, row]));
+
+  return points.map((point, position) => {
+    const row = rowsByIndex.get(position);
+    const location = {
+      ...(point.id !== undefined && { id: point.id }),
+      lat: Number(point.lat),
+      lon: Number(point.lon)
+    };
+
+    if (!row) {
+      return { point: location, match: null, municipality: null, data: null };
+    }
+
+    // Everything not destructured here is the climate data row (with its agreement flags)
+    const {
+      point_index: pointIndex,
+      matched_municipality_id: municipalityId,
+      distance_m: distanceM,
+      municipality_name: municipalityName,
+      municipality_code: municipalityCode,
+      province,
+      district_code: districtCode,
+      district_name: districtName,
+      ...climate
+    } = row;
+
+    return {
+      point: location,
+      match: distanceM === 0 ? 'contains' : 'nearest',
+      distance_km: Number((distanceM / 1000).toFixed(3)),
+      municipality: {
+        id: municipalityId,
+        name: municipalityName,
+        code: municipalityCode,
+        province,
+        district_code: districtCode,
+        district_name: districtName
+      },
+      data: climate.id ? climate : null
+    };
+  });
+}
+
+export default {
+  MAX_BATCH_POINTS,
+  lookupPoints
+};
@@ -0,0 +1,445 @@
+/**
+ * Risk Scoring Service
+ * Combines climate index anomalies into composite risk scores per municipality
+ *
+ * 1. Each index is normalised across all municipalities (percentile rank or z-score)
+ * 2. Signs are flipped using climate_indices.risk_direction so higher = more risk
+ * 3. Index scores are combined into hazard sub-scores (weighted mean)
+ * 4. Hazard sub-scores are averaged into an overall score
+ */
+
+import { query } from '../config/database.js';
+import { DEFAULT_STATISTIC, DEFAULT_VALUE_MODE } from '../config/climate.js';
+import { indexRegistry } from './index-registry.js';
+
+/**
+ * Indices contributing to each hazard
+ */
+export const HAZARDS = {
+  heat: ['txge30', 'tx90p', 'tn90p', 'txx', 'tnx', 'wsdi', 'txd_tnd', 'txgt50p'],
+  drought: ['cdd', 'prcptot'],
+  flood: ['r10mm', 'r20mm', 'r95p', 'r95ptot', 'r99p', 'r99ptot', 'rx1day', 'rx5day', 'sdii', 'cwd'],
+  cold: ['fd', 'tnlt2', 'csdi', 'tn10p', 'tx10p', 'tnn', 'txn']
+};
+
+/**
+ * Direction used for indices whose risk_direction is 'neutral' (context-dependent),
+ * resolved for the hazard they contribute to
+ */
+const NEUTRAL_DIRECTIONS = {
+  prcptot: 'lower_worse',  // Less rainfall = drought
+  cwd: 'higher_worse',     // Longer wet spells = flooding
+  r10mm: 'higher_worse',   // More heavy rain days = flooding
+  txgt50p: 'higher_worse', // More warm days = heat
+  tn10p: 'lower_worse',    // Consistent with fd/csdi
+  tx10p: 'lower_worse'     // Consistent with fd/csdi
+};
+
+export const NORMALISATION_METHODS = ['percentile', 'zscore'];
+
+/**
+ * Parse caller-supplied index weights
+ * @param {string|undefined} value - e.g. "cdd:2,wsdi:0.5" (weight 0 excludes an index)
+ * @returns {Object} { weights } or { error }
+ */
+export function parseWeights(value) {
+  const weights = {};
+
+  if (value === undefined || value === '') {
+    return { weights };
+  }
+
+  for (const pair of String(value).split(',')) {
+    const [code, rawWeight] = pair.split(':').map(part => part.trim());
+    const index = (code || '').toLowerCase();
+    const weight = Number(rawWeight);
+
+    if (indexRegistry.validate(index)) {
+      return { error: `Invalid or inactive climate index in weights: ${code}` };
+    }
+    if (rawWeight === undefined || rawWeight === '' || !Number.isFinite(weight) || weight < 0) {
+      return { error: `Invalid weight for ${index} (expected a non-negative number)` };
+    }
+
+    weights[index] = weight;
+  }
+
+  return { weights };
+}
+
+/**
+ * Hazard index lists restricted to active indices in the registry
+ * @returns {Object} Index codes by hazard
+ */
+export function activeHazards() {
+  const hazards = {};
+  for (const [hazard, indices] of Object.entries(HAZARDS)) {
+    hazards[hazard] = indices.filter(index => indexRegistry.isActive(index));
+  }
+  return hazards;
+}
+
+/**
+ * Sign applied to an index so that higher normalised values mean more risk
+ * @param {string} index - Index code
+ * @param {string} riskDirection - risk_direction from climate_indices
+ * @returns {number} 1 or -1
+ */
+function riskSign(index, riskDirection) {
+  const direction = riskDirection === 'neutral' || !riskDirection
+    ? (NEUTRAL_DIRECTIONS[index] || 'higher_worse')
+    : riskDirection;
+
+  return direction === 'lower_worse' ? -1 : 1;
+}
+
+/**
+ * Percentile rank (0-100) of each value, ties share their average rank
+ * @param {Array<number|null>} values
+ * @returns {Array<number|null>}
+ */
+function percentileRanks(values) {
+  const present = values
+    .map((value, position) => ({ value, position }))
+    .filter(entry => entry.value !== null);
+
+  const ranks = values.map(() => null);
+  if (present.length === 0) {
+    return ranks;
+  }
+  if (present.length === 1) {
+    ranks[present[0].position] = 50;
+    return ranks;
+  }
+
+  present.sort((a, b) => a.value - b.value);
+
+  let i = 0;
+  while (i < present.length) {
+    let j = i;
+    while (j + 1 < present.length && present[j + 1].value === present[i].value) {
+      j++;
+    }
+    const averageRank = (i + j) / 2;
+    for (let k = i; k <= j; k++) {
+      ranks[present[k].position] = (averageRank / (present.length - 1)) * 100;
+    }
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Z-scores of each value (0 when all values are equal)
+ * @param {Array<number|null>} values
+ * @returns {Array<number|null>}
+ */
+function zScores(values) {
+  const present = values.filter(value => value !== null);
+  if (present.length === 0) {
+    return values.map(() => null);
+  }
+
+  const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+  const variance = present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / present.length;
+  const sd = Math.sqrt(variance);
+
+  return values.map(value => {
+    if (value === null) return null;
+    return sd === 0 ? 0 : (value - mean) / sd;
+  });
+}
+
+/**
+ * Weighted mean of scores, ignoring missing values
+ * @param {Array<{score: number|null, weight: number}>} entries
+ * @returns {number|null}
+ */
+function weightedMean(entries) {
+  let total = 0;
+  let weightSum = 0;
+
+  for (const { score, weight } of entries) {
+    if (score === null || weight === 0) continue;
+    total += score * weight;
+    weightSum += weight;
+  }
+
+  return weightSum > 0 ? total / weightSum : null;
+}
+
+/**
+ * Assign 1-based ranks (1 = highest score) to rows, nulls are unranked
+ * @param {Array<Object>} rows
+ * @param {Function} getScore - Returns the score for a row
+ * @param {Function} setRank - Stores the rank on a row
+ */
+function assignRanks(rows, getScore, setRank) {
+  const ranked = rows
+    .filter(row => getScore(row) !== null)
+    .sort((a, b) => getScore(b) - getScore(a));
+
+  ranked.forEach((row, position) => setRank(row, position + 1));
+  rows.filter(row => getScore(row) === null).forEach(row => setRank(row, null));
+}
+
+/**
+ * Normalise index columns across rows, sign-adjusted so higher = more risk
+ * @param {Array<Object>} rows - climate_data rows (one per municipality)
+ * @param {Array<string>} indices - Index codes to normalise
+ * @param {Map<string, string>} directionByCode - risk_direction per index
+ * @param {string} method - 'percentile' or 'zscore'
+ * @returns {Object} Scores per index, aligned with rows
+ */
+function normaliseIndices(rows, indices, directionByCode, method) {
+  const normalise = method === 'zscore' ? zScores : percentileRanks;
+  const indexScores = {};
+
+  for (const index of indices) {
+    const sign = riskSign(index, directionByCode.get(index));
+    const values = rows.map(row => (row[index] === null ? null : parseFloat(row[index]) * sign));
+    indexScores[index] = normalise(values);
+  }
+
+  return indexScores;
+}
+
+/**
+ * Round a score for output
+ */
+function round(value) {
+  return value === null ? null : Number(value.toFixed(2));
+}
+
+/**
+ * Compute composite risk scores for all municipalities
+ *
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {Object} options
+ * @param {string} options.method - 'percentile' (0-100) or 'zscore'
+ * @param {Object} options.weights - Index weights (default 1 each)
+ * @returns {Promise<Array>} Municipality scores sorted by overall rank
+ */
+export async function computeRiskScores(scenario, period, options = {}) {
+  const { method = 'percentile', weights = {} } = options;
+  const activeHazardIndices = activeHazards();
+  const hazardIndices = [...new Set(Object.values(activeHazardIndices).flat())];
+
+  // Note: Column names come from HAZARDS, filtered by the index registry
+  const result = await query(`
+    SELECT
+      m.id,
+      m.municipality_name,
+      m.municipality_code,
+      m.province,
+      m.district_code,
+      m.district_name,
+      ${hazardIndices.map(index => `cd.${index}`).join(',\n      ')}
+    FROM public.municipalities m
+    JOIN public.climate_data cd ON cd.municipality_id = m.id
+    WHERE cd.scenario = $1
+      AND cd.period = $2
+    ORDER BY m.id
+  `, [scenario, period]);
+
+  const directions = await query(`
+    SELECT index_code, risk_direction
+    FROM public.climate_indices
+    WHERE index_code = ANY($1)
+  `, [hazardIndices]);
+
+  const directionByCode = new Map(directions.rows.map(row => [row.index_code, row.risk_direction]));
+
+  // Normalised, sign-adjusted score per index (aligned with result.rows)
+  const indexScores = normaliseIndices(result.rows, hazardIndices, directionByCode, method);
+
+  const scores = result.rows.map((row, position) => {
+    const hazards = {};
+
+    for (const [hazard, indices] of Object.entries(activeHazardIndices)) {
+      hazards[hazard] = {
+        score: weightedMean(indices.map(index => ({
+          score: indexScores[index][position],
+          weight: weights[index] ?? 1
+        }))),
+        rank: null
+      };
+    }
+
+    return {
+      municipality_id: row.id,
+      municipality_name: row.municipality_name,
+      municipality_code: row.municipality_code,
+      province: row.province,
+      district_code: row.district_code,
+      district_name: row.district_name,
+      overall_score: weightedMean(
+        Object.values(hazards).map(({ score }) => ({ score, weight: 1 }))
+      ),
+      overall_rank: null,
+      hazards
+    };
+  });
+
+  for (const hazard of Object.keys(HAZARDS)) {
+    assignRanks(scores, row => row.hazards[hazard].score, (row, rank) => { row.hazards[hazard].rank = rank; });
+  }
+  assignRanks(scores, row => row.overall_score, (row, rank) => { row.overall_rank = rank; });
+
+  for (const row of scores) {
+    row.overall_score = round(row.overall_score);
+    for (const hazard of Object.values(row.hazards)) {
+      hazard.score = round(hazard.score);
+    }
+  }
+
+  return scores.sort((a, b) => (a.overall_rank ?? Infinity) - (b.overall_rank ?? Infinity));
+}
+
+/**
+ * Compute a sector risk profile for one municipality across every scenario and period
+ * Indices are normalised across all municipalities within each scenario/period
+ * (window functions in SQL), so the sector score and rank compare the
+ * municipality with the rest of the country; only its own rows are returned
+ *
+ * Percentile ties share their average rank and a lone value scores 50, as in
+ * percentileRanks(); z-scores are 0 when every municipality has the same value
+ *
+ * @param {number} municipalityId - Municipality ID
+ * @param {Array<Object>} sectorIndices - climate_indices rows tagged with the sector
+ * @param {Object} options
+ * @param {string} options.method - 'percentile' (0-100) or 'zscore'
+ * @param {number} options.top - Number of top contributing indices to list
+ * @param {string} options.statistic - Ensemble statistic (default: mean)
+ * @param {string} options.mode - Value mode (default: anomaly); values are
+ *   converted before they are normalised
+ * @returns {Promise<Array>} Profile per scenario/period (empty if no data)
+ */
+export async function computeSectorProfile(municipalityId, sectorIndices, options = {}) {
+  const {
+    method = 'percentile',
+    top = 3,
+    statistic = DEFAULT_STATISTIC,
+    mode = DEFAULT_VALUE_MODE
+  } = options;
+  const indices = sectorIndices.map(row => row.index_code);
+  const signs = sectorIndices.map(row => riskSign(row.index_code, row.risk_direction));
+  const metadataByCode = new Map(sectorIndices.map(row => [row.index_code, row]));
+
+  const result = await query(`
+    WITH sector_indices AS (
+      SELECT index_code, sign
+      FROM unnest($2::text[], $3::integer[]) AS si(index_code, sign)
+    ),
+    index_values AS (
+      SELECT
+        cv.municipality_id,
+        cv.scenario,
+        cv.period,
+        cv.index_code,
+        public.climate_value_in_mode(cv.value, cb.value, $5) as value,
+        public.climate_value_in_mode(cv.value, cb.value, $5) * si.sign as signed_value
+      FROM public.climate_values cv
+      JOIN sector_indices si ON si.index_code = cv.index_code
+      LEFT JOIN public.climate_baselines cb
+        ON cb.municipality_id = cv.municipality_id
+        AND cb.index_code = cv.index_code
+      WHERE cv.statistic = $4
+    ),
+    index_scores AS (
+      SELECT
+        municipality_id,
+        scenario,
+        period,
+        index_code,
+        value,
+        CASE
+          WHEN $6 = 'zscore' THEN COALESCE(
+            (signed_value - AVG(signed_value) OVER w) / NULLIF(STDDEV_POP(signed_value) OVER w, 0),
+            0
+          )
+          WHEN COUNT(*) OVER w = 1 THEN 50
+          ELSE ((RANK() OVER (w ORDER BY signed_value) - 1)
+            + (COUNT(*) OVER w - RANK() OVER (w ORDER BY signed_value DESC)))
+            / 2.0 / (COUNT(*) OVER w - 1) * 100
+        END as score
+      FROM index_values
+      WHERE value IS NOT NULL
+      WINDOW w AS (PARTITION BY scenario, period, index_code)
+    ),
+    sector_scores AS (
+      SELECT
+        municipality_id,
+        scenario,
+        period,
+        AVG(score) as score,
+        ROW_NUMBER() OVER (PARTITION BY scenario, period ORDER BY AVG(score) DESC, municipality_id) as rank,
+        COUNT(*) OVER (PARTITION BY scenario, period) as municipality_count
+      FROM index_scores
+      GROUP BY municipality_id, scenario, period
+    )
+    SELECT
+      ss.scenario,
+      ss.period,
+      cp.period_start,
+      cp.period_end,
+      ss.score::float8 as score,
+      ss.rank::integer as rank,
+      ss.municipality_count::integer as municipality_count,
+      i.index_code,
+      i.value,
+      i.score::float8 as index_score
+    FROM sector_scores ss
+    JOIN public.climate_periods cp ON cp.period = ss.period
+    JOIN index_scores i
+      ON i.municipality_id = ss.municipality_id
+      AND i.scenario = ss.scenario
+      AND i.period = ss.period
+    WHERE ss.municipality_id = $1
+    ORDER BY ss.scenario, cp.period_start, i.score DESC, i.index_code
+  `, [municipalityId, indices, signs, statistic, mode, method]);
+
+  // One row per scenario/period/index, ordered by index score within each scenario/period
+  const profiles = new Map();
+  for (const row of result.rows) {
+    const key = `${row.scenario}|${row.period}`;
+    if (!profiles.has(key)) {
+      profiles.set(key, {
+        scenario: row.scenario,
+        period: row.period,
+        period_start: row.period_start,
+        period_end: row.period_end,
+        score: round(row.score),
+        rank: row.rank,
+        municipality_count: row.municipality_count,
+        top_indices: []
+      });
+    }
+
+    const profile = profiles.get(key);
+    if (profile.top_indices.length < top) {
+      const meta = metadataByCode.get(row.index_code);
+      profile.top_indices.push({
+        index_code: row.index_code,
+        index_name: meta.index_name,
+        value: parseFloat(row.value),
+        unit: mode === 'percent_change' ? '%' : meta.unit,
+        score: round(row.index_score),
+        plain_language_description: meta.plain_language_description
+      });
+    }
+  }
+
+  return Array.from(profiles.values());
+}
+
+export default {
+  HAZARDS,
+  NORMALISATION_METHODS,
+  activeHazards,
+  parseWeights,
+  computeRiskScores,
+  computeSectorProfile
+};
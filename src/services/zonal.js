@@ -0,0 +1,227 @@
+/**
+ * Zonal Summary Service
+ * Summarises climate indices over a custom area of interest (AOI) polygon,
+ * weighting each municipality by the area it shares with the AOI
+ */
+
+import { query } from '../config/database.js';
+import { DEFAULT_STATISTIC, DEFAULT_VALUE_MODE } from '../config/climate.js';
+import { indexRegistry } from './index-registry.js';
+import { isRobust, fetchSignAgreement, signAgreementFor } from './agreement.js';
+import { applyValueMode } from './baselines.js';
+
+// Maximum number of vertices accepted in an AOI polygon
+export const MAX_AOI_VERTICES = 10000;
+
+// Accepted CRS names for EPSG:4326 (GeoJSON default is CRS84, same axis order for our use)
+const WGS84_CRS_NAMES = [
+  'EPSG:4326',
+  'urn:ogc:def:crs:EPSG::4326',
+  'urn:ogc:def:crs:OGC:1.3:CRS84',
+  'urn:ogc:def:crs:OGC::CRS84'
+];
+
+/**
+ * Extract and validate the AOI geometry from a request body
+ * Accepts a Polygon/MultiPolygon geometry, a Feature, or a single-feature FeatureCollection
+ *
+ * @param {Object} input - GeoJSON object
+ * @returns {Object} { geometry } or { error }
+ */
+export function extractAOIGeometry(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'geometry is required (GeoJSON Polygon or MultiPolygon)' };
+  }
+
+  // A named CRS other than WGS84 is rejected (coordinates must be lon/lat degrees)
+  const crsName = input.crs?.properties?.name;
+  if (crsName && !WGS84_CRS_NAMES.includes(crsName)) {
+    return { error: `Unsupported CRS: ${crsName} (coordinates must be EPSG:4326)` };
+  }
+
+  let geometry = input;
+  if (input.type === 'FeatureCollection') {
+    if (!Array.isArray(input.features) || input.features.length !== 1) {
+      return { error: 'FeatureCollection must contain exactly one feature' };
+    }
+    const [feature] = input.features;
+    if (!feature || typeof feature !== 'object') {
+      return { error: 'FeatureCollection feature must be a GeoJSON Feature' };
+    }
+    geometry = feature.geometry;
+  } else if (input.type === 'Feature') {
+    geometry = input.geometry;
+  }
+
+  if (!geometry || typeof geometry !== 'object' || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return { error: 'geometry must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  if (!Array.isArray(geometry.coordinates)) {
+    return { error: 'geometry coordinates must be an array' };
+  }
+
+  const positions = [];
+  const rings = geometry.type === 'Polygon' ? geometry.coordinates : geometry.coordinates.flat(1);
+  if (rings.length === 0) {
+    return { error: 'geometry has no coordinates' };
+  }
+
+  for (const ring of rings) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+      return { error: 'Each polygon ring needs at least 4 positions' };
+    }
+    positions.push(...ring);
+  }
+
+  if (positions.length > MAX_AOI_VERTICES) {
+    return { error: `Too many vertices: ${positions.length} (maximum ${MAX_AOI_VERTICES})` };
+  }
+
+  for (const position of positions) {
+    const [lon, lat] = Array.isArray(position) ? position : [];
+    if (!Number.isFinite(lon) || !Number.isFinite(lat) ||
+        lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+      return { error: 'Coordinates must be [lon, lat] in EPSG:4326 degrees' };
+    }
+  }
+
+  return { geometry };
+}
+
+/**
+ * Check geometry validity in PostGIS
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Promise<string|null>} Reason the geometry is invalid, or null if valid
+ */
+export async function checkGeometryValidity(geometry) {
+  const result = await query(`
+    SELECT
+      ST_IsValid(g) as is_valid,
+      ST_IsValidReason(g) as reason
+    FROM (SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) as g) aoi
+  `, [JSON.stringify(geometry)]);
+
+  const { is_valid: isValid, reason } = result.rows[0];
+  return isValid ? null : reason;
+}
+
+/**
+ * Compute an area-weighted zonal summary of all indices over an AOI
+ *
+ * @param {Object} geometry - Validated GeoJSON Polygon/MultiPolygon (EPSG:4326)
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {string} statistic - Ensemble statistic (default: mean)
+ * @param {string} mode - Value mode (default: anomaly); each municipality's value
+ *   is converted before weighting
+ * @returns {Promise<Object>} { aoi_area_km2, covered_area_km2, values, agreement, municipalities }
+ */
+export async function computeZonalSummary(geometry, scenario, period, statistic = DEFAULT_STATISTIC, mode = DEFAULT_VALUE_MODE) {
+  const indices = indexRegistry.activeCodes();
+
+  // Areas are computed on the geography type for true km²
+  const result = await query(`
+    WITH aoi AS (
+      SELECT ST_SetSRID(ST_GeomFromGeoJSON($1), 4326) as geom
+    ),
+    overlaps AS (
+      SELECT
+        m.id,
+        m.municipality_name,
+        m.municipality_code,
+        m.province,
+        m.district_code,
+        m.district_name,
+        ST_Area(m.geom::geography) / 1000000 as municipality_area_km2,
+        ST_Area(ST_Intersection(m.geom, aoi.geom)::geography) / 1000000 as overlap_km2
+      FROM public.municipalities m
+      CROSS JOIN aoi
+      WHERE ST_Intersects(m.geom, aoi.geom)
+    )
+    SELECT
+      o.*,
+      o.id as municipality_id,
+      (SELECT ST_Area(geom::geography) / 1000000 FROM aoi) as aoi_area_km2,
+      ${indices.map(index => `cd.${index}`).join(',\n      ')}
+    FROM overlaps o
+    LEFT JOIN public.climate_data_statistics cd
+      ON cd.municipality_id = o.id
+      AND cd.scenario = $2
+      AND cd.period = $3
+      AND cd.statistic = $4
+    WHERE o.overlap_km2 > 0
+    ORDER BY o.overlap_km2 DESC
+  `, [JSON.stringify(geometry), scenario, period, statistic]);
+
+  await applyValueMode(result.rows, indices, mode);
+
+  const coveredArea = result.rows.reduce((sum, row) => sum + row.overlap_km2, 0);
+  const aoiArea = result.rows[0]?.aoi_area_km2 ?? null;
+
+  // Weighted mean per index, ignoring municipalities with no value for that index
+  const values = {};
+  for (const index of indices) {
+    let total = 0;
+    let weightSum = 0;
+
+    for (const row of result.rows) {
+      if (row[index] === null || row[index] === undefined) continue;
+      total += parseFloat(row[index]) * row.overlap_km2;
+      weightSum += row.overlap_km2;
+    }
+
+    values[index] = weightSum > 0 ? Number((total / weightSum).toFixed(4)) : null;
+  }
+
+  // Agreement flag from the overlap-weighted share of agreeing models
+  const signAgreement = await fetchSignAgreement(
+    result.rows.map(row => ({ municipality_id: row.id, scenario, period })),
+    indices
+  );
+  const agreement = {};
+  for (const index of indices) {
+    let total = 0;
+    let weightSum = 0;
+
+    for (const row of result.rows) {
+      const fraction = signAgreementFor(signAgreement, { municipality_id: row.id, scenario, period })[index];
+      if (fraction === undefined) continue;
+      total += fraction * row.overlap_km2;
+      weightSum += row.overlap_km2;
+    }
+
+    agreement[index] = weightSum > 0 ? isRobust(total / weightSum) : null;
+  }
+
+  const municipalities = result.rows.map(row => ({
+    id: row.id,
+    municipality_name: row.municipality_name,
+    municipality_code: row.municipality_code,
+    province: row.province,
+    district_code: row.district_code,
+    district_name: row.district_name,
+    overlap_km2: Number(row.overlap_km2.toFixed(3)),
+    // Share of the AOI's covered area falling in this municipality (weights sum to 1)
+    overlap_fraction: coveredArea > 0 ? Number((row.overlap_km2 / coveredArea).toFixed(6)) : 0,
+    // Share of the municipality covered by the AOI
+    municipality_fraction: Number((row.overlap_km2 / row.municipality_area_km2).toFixed(6))
+  }));
+
+  return {
+    aoi_area_km2: aoiArea === null ? null : Number(aoiArea.toFixed(3)),
+    covered_area_km2: Number(coveredArea.toFixed(3)),
+    statistic,
+    mode,
+    values,
+    agreement,
+    municipalities
+  };
+}
+
+export default {
+  MAX_AOI_VERTICES,
+  extractAOIGeometry,
+  checkGeometryValidity,
+  computeZonalSummary
+};
@@ -0,0 +1,367 @@
+/**
+ * Cache store tests
+ * MemoryStore, RedisStore and createCacheStore against an in-process stand-in
+ * for Redis (no server needed). Two RedisStore instances on one FakeRedisServer
+ * behave like two API instances sharing a Redis database.
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore, RedisStore, createCacheStore } from '../src/services/cache-store.js';
+import { InMemoryCache } from '../src/middleware/cache.js';
+
+/**
+ * Key space shared by every FakeRedis client connected to it
+ */
+class FakeRedisServer {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+  }
+
+  read(key) {
+    const item = this.data.get(key);
+    if (item && Date.now() >= item.expiresAt) {
+      this.data.delete(key);
+      return null;
+    }
+    return item || null;
+  }
+}
+
+/**
+ * The subset of the ioredis client API used by RedisStore and createCacheStore
+ */
+class FakeRedis {
+  constructor(server, { reachable = true } = {}) {
+    this.server = server;
+    this.reachable = reachable;
+    this.connected = false;
+    this.listeners = {};
+  }
+
+  on(event, listener) {
+    this.listeners[event] = listener;
+    return this;
+  }
+
+  async connect() {
+    if (!this.reachable) {
+      throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+    }
+    this.connected = true;
+  }
+
+  disconnect() {
+    this.connected = false;
+  }
+
+  async quit() {
+    this.connected = false;
+    return 'OK';
+  }
+
+  async get(key) {
+    return this.server.read(key)?.value ?? null;
+  }
+
+  async set(key, value, mode, ttl) {
+    assert.equal(mode, 'PX');
+    this.lastTtl = ttl;
+    this.server.data.set(key, { value, expiresAt: Date.now() + ttl });
+    return 'OK';
+  }
+
+  async del(...keys) {
+    return keys.filter(key => this.server.read(key) && this.server.data.delete(key)).length;
+  }
+
+  async unlink(...keys) {
+    return this.del(...keys);
+  }
+
+  async mget(...keys) {
+    return keys.map(key => this.server.read(key)?.value ?? null);
+  }
+
+  // Pages through the keys COUNT at a time, so RedisStore has to follow the cursor
+  async scan(cursor, match, pattern, countArg, count) {
+    const matcher = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+    const keys = [...this.server.data.keys()].filter(key => this.server.read(key) && matcher.test(key));
+    const start = Number(cursor);
+    const next = start + count < keys.length ? String(start + count) : '0';
+    return [next, keys.slice(start, start + count)];
+  }
+
+  async info() {
+    return '# Memory\r\nused_memory:1048576\r\n';
+  }
+}
+
+/**
+ * Build a store entry the way InMemoryCache.createEntry does
+ */
+function entry(tier, body, ttl = 60000) {
+  const buffer = Buffer.from(body);
+  return {
+    body: buffer,
+    encodings: {},
+    contentType: 'application/json; charset=utf-8',
+    etag: `etag-${body.length}`,
+    version: null,
+    tier,
+    size: buffer.length,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ttl
+  };
+}
+
+// Large enough to be compressed (and therefore to carry encoded variants)
+const largeData = {
+  success: true,
+  data: Array.from({ length: 200 }, (_, id) => ({ id, municipality_name: `Municipality ${id}` }))
+};
+
+describe('MemoryStore', () => {
+  test('returns stored entries and drops expired ones', async () => {
+    const store = new MemoryStore();
+    await store.set('GET:/indices', entry('metadata', '{"a":1}'));
+    await store.set('GET:/health', entry('health', '{"b":2}', -1));
+
+    assert.equal((await store.get('GET:/indices')).body.toString(), '{"a":1}');
+    assert.equal(await store.get('GET:/health'), null);
+    assert.equal((await store.getStats()).tiers.health.entries, 0);
+  });
+
+  test('evicts least recently used entries within a tier only', async () => {
+    // 1000-byte budget: 100 bytes for geojson, 100 for metadata
+    const store = new MemoryStore({
+      maxBytes: 1000,
+      tierShares: { geojson: 0.1, metadata: 0.1, default: 0.8 }
+    });
+    await store.set('GET:/indices', entry('metadata', 'x'.repeat(60)));
+    await store.set('geo-1', entry('geojson', 'x'.repeat(60)));
+    await store.set('geo-2', entry('geojson', 'x'.repeat(60)));
+
+    assert.equal(await store.get('geo-1'), null);
+    assert.ok(await store.get('geo-2'));
+    assert.ok(await store.get('GET:/indices'));
+    assert.equal((await store.getStats()).tiers.geojson.evictions, 1);
+  });
+
+  test('rejects entries larger than their tier quota', async () => {
+    const store = new MemoryStore({ maxBytes: 1000, tierShares: { metadata: 0.05, default: 0.95 } });
+    assert.equal(await store.set('GET:/indices', entry('metadata', 'x'.repeat(60))), false);
+    assert.equal(await store.get('GET:/indices'), null);
+  });
+});
+
+describe('RedisStore', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new FakeRedisServer();
+  });
+
+  test('round-trips entries with binary bodies and encodings', async () => {
+    const store = new RedisStore(new FakeRedis(server), { prefix: 'test:' });
+    const stored = entry('tiles', '');
+    stored.body = Buffer.from([0x1a, 0x00, 0xff, 0x10]);
+    stored.encodings = { gzip: Buffer.from([0x1f, 0x8b, 0x08]) };
+    await store.set('GET:/climate-data/tiles/a', stored);
+
+    const loaded = await store.get('GET:/climate-data/tiles/a');
+    assert.deepEqual(loaded.body, stored.body);
+    assert.deepEqual(loaded.encodings.gzip, stored.encodings.gzip);
+    assert.equal(loaded.etag, stored.etag);
+    assert.ok(server.data.has('test:GET:/climate-data/tiles/a'));
+  });
+
+  test('writes the remaining lifetime of an entry as its Redis TTL', async () => {
+    const client = new FakeRedis(server);
+    const store = new RedisStore(client);
+    await store.set('GET:/indices', entry('metadata', '{}', 5000));
+
+    assert.ok(client.lastTtl > 4000 && client.lastTtl <= 5000);
+  });
+
+  test('invalidations are seen by every instance sharing the server', async () => {
+    const first = new RedisStore(new FakeRedis(server));
+    const second = new RedisStore(new FakeRedis(server));
+
+    for (const index of ['cdd', 'wsdi', 'fd']) {
+      await first.set(`GET:/climate-data/geojson/ssp585/near-term_2021-2040/${index}`, entry('geojson', index));
+    }
+    await first.set('GET:/climate-data/geojson/ssp245/near-term_2021-2040/cdd', entry('geojson', 'cdd'));
+    await first.set('GET:/indices', entry('metadata', '{}'));
+
+    const removed = await second.deleteMatching(/^GET:\/climate-data\/geojson\/ssp585\/.*$/);
+
+    assert.equal(removed, 3);
+    assert.equal(await first.get('GET:/climate-data/geojson/ssp585/near-term_2021-2040/cdd'), null);
+    assert.ok(await first.get('GET:/climate-data/geojson/ssp245/near-term_2021-2040/cdd'));
+    assert.ok(await first.get('GET:/indices'));
+  });
+
+  test('lists and clears only keys under its prefix', async () => {
+    const store = new RedisStore(new FakeRedis(server), { prefix: 'a:' });
+    const other = new RedisStore(new FakeRedis(server), { prefix: 'b:' });
+
+    // More keys than one SCAN page
+    for (let index = 0; index < 600; index++) {
+      await store.set(`GET:/municipalities/${index}`, entry('municipalities', '{}'));
+    }
+    await other.set('GET:/indices', entry('metadata', '{}'));
+
+    assert.equal((await store.list(/\/municipalities\/1\d$/)).length, 10);
+    assert.equal((await store.getStats()).size, 600);
+    assert.equal(await store.clear(), 600);
+    assert.ok(await other.get('GET:/indices'));
+  });
+});
+
+describe('InMemoryCache with a shared store', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new FakeRedisServer();
+  });
+
+  test('uses the TTL of each tier', async () => {
+    const client = new FakeRedis(server);
+    const cache = new InMemoryCache({ store: new RedisStore(client) });
+
+    const cases = [
+      ['GET:/indices', 'metadata'],
+      ['GET:/climate-data/geojson/ssp245/near-term_2021-2040/cdd?simplify=full', 'geojson'],
+      ['GET:/municipalities', 'municipalities'],
+      ['GET:/health', 'health']
+    ];
+
+    for (const [key, tier] of cases) {
+      const ttl = cache.determineTTL(key);
+      assert.equal(ttl, cache.ttlSettings[tier]);
+
+      const item = await cache.set(key, { success: true }, ttl);
+      assert.equal(item.tier, tier);
+      assert.ok(client.lastTtl > ttl - 1000 && client.lastTtl <= ttl);
+    }
+  });
+
+  test('ETags survive the store and match on another instance', async () => {
+    const writer = new InMemoryCache({ store: new RedisStore(new FakeRedis(server)) });
+    const reader = new InMemoryCache({ store: new RedisStore(new FakeRedis(server)) });
+    writer.setDataVersion(7);
+    reader.setDataVersion(7);
+
+    const written = await writer.set('GET:/municipalities', largeData, writer.determineTTL('GET:/municipalities'));
+    assert.match(written.etag, /^v7-[0-9a-f]{16}$/);
+    assert.ok(written.encodings.br && written.encodings.gzip);
+
+    const read = await reader.get('GET:/municipalities');
+    assert.equal(read.etag, written.etag);
+    assert.deepEqual(JSON.parse(read.body.toString()), largeData);
+    assert.deepEqual(read.encodings.gzip, written.encodings.gzip);
+    assert.ok(reader.matchesETag(`"${written.etag}"`, read.etag));
+    assert.ok(reader.matchesETag(`W/"${written.etag}-gzip"`, read.etag));
+    assert.ok(!reader.matchesETag('"v6-0000000000000000"', read.etag));
+  });
+
+  test('content-hash ETags are stable without a data version', async () => {
+    const cache = new InMemoryCache({ store: new MemoryStore() });
+    const first = await cache.set('GET:/indices', largeData);
+    const second = await cache.set('GET:/indices', largeData);
+
+    assert.equal(first.etag, cache.generateETag(largeData));
+    assert.equal(second.etag, first.etag);
+  });
+
+  test('entries of another data version are misses', async () => {
+    const writer = new InMemoryCache({ store: new RedisStore(new FakeRedis(server)) });
+    const reader = new InMemoryCache({ store: new RedisStore(new FakeRedis(server)) });
+    writer.setDataVersion(7);
+    reader.setDataVersion(8);
+
+    await writer.set('GET:/indices', { success: true });
+    assert.equal(await reader.get('GET:/indices'), null);
+  });
+
+  test('clearing keeps the data version', async () => {
+    const cache = new InMemoryCache({ store: new RedisStore(new FakeRedis(server)) });
+    cache.setDataVersion(7);
+    await cache.set('GET:/indices', { success: true });
+
+    assert.equal(await cache.clear(), 1);
+    assert.equal(cache.dataVersion, 7);
+  });
+
+  test('pattern invalidation on one instance applies to another', async () => {
+    const first = new InMemoryCache({ store: new RedisStore(new FakeRedis(server)) });
+    const second = new InMemoryCache({ store: new RedisStore(new FakeRedis(server)) });
+
+    await first.set('GET:/climate-data/geojson/ssp585/near-term_2021-2040/cdd', { success: true });
+    await first.set('GET:/climate-data/geojson/ssp245/near-term_2021-2040/cdd', { success: true });
+
+    assert.equal(await second.invalidate('GET:/climate-data/geojson/ssp585/*'), 1);
+    assert.equal(await first.get('GET:/climate-data/geojson/ssp585/near-term_2021-2040/cdd'), null);
+    assert.ok(await first.get('GET:/climate-data/geojson/ssp245/near-term_2021-2040/cdd'));
+  });
+});
+
+describe('createCacheStore', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    for (const name of ['CACHE_STORE', 'REDIS_URL', 'CACHE_KEY_PREFIX']) {
+      saved[name] = process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  test('uses the memory store by default', async () => {
+    delete process.env.CACHE_STORE;
+    assert.ok(await createCacheStore() instanceof MemoryStore);
+  });
+
+  test('connects to Redis when configured', async () => {
+    process.env.CACHE_STORE = 'redis';
+    process.env.REDIS_URL = 'redis://cache:6379';
+    process.env.CACHE_KEY_PREFIX = 'instance:';
+
+    let requestedUrl = null;
+    const store = await createCacheStore({
+      createRedisClient: async url => {
+        requestedUrl = url;
+        return new FakeRedis(new FakeRedisServer());
+      }
+    });
+
+    assert.ok(store instanceof RedisStore);
+    assert.ok(store.client.connected);
+    assert.equal(store.prefix, 'instance:');
+    assert.equal(requestedUrl, 'redis://cache:6379');
+  });
+
+  test('falls back to memory when Redis is unreachable', async () => {
+    process.env.CACHE_STORE = 'redis';
+    const client = new FakeRedis(new FakeRedisServer(), { reachable: false });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const store = await createCacheStore({ createRedisClient: async () => client });
+      assert.ok(store instanceof MemoryStore);
+      assert.equal(client.connected, false);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * OpenAPI contract tests
+ * Every route needs an entry in src/config/openapi.js (and every entry a route),
+ * and the generated document must have no unresolved references
+ *
+ * Needs no database: the routers are inspected, not called.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/database.js';
+import { buildOpenApiSpec, checkOperationCoverage } from '../src/services/openapi.js';
+
+after(() => db.closePool());
+
+/**
+ * Collect every $ref in the document
+ */
+function collectRefs(node, refs = []) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectRefs(item, refs));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        refs.push(value);
+      } else {
+        collectRefs(value, refs);
+      }
+    }
+  }
+  return refs;
+}
+
+/**
+ * Resolve a local reference such as "#/components/schemas/Problem"
+ */
+function resolveRef(spec, ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, part) => (node ? node[part] : undefined), spec);
+}
+
+test('every route has an OPERATIONS entry and every entry a route', () => {
+  const { undocumented, stale } = checkOperationCoverage();
+
+  assert.deepEqual(undocumented, [], 'Document new routes in src/config/openapi.js (OPERATIONS)');
+  assert.deepEqual(stale, [], 'Remove OPERATIONS entries whose route is gone');
+});
+
+test('every operation defines its path parameters and a 200 response', () => {
+  const spec = buildOpenApiSpec();
+
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    const templateParams = [...path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+
+    for (const [method, operation] of Object.entries(methods)) {
+      const key = `${method.toUpperCase()} ${path}`;
+      const pathParams = operation.parameters
+        .filter(parameter => parameter.in === 'path')
+        .map(parameter => parameter.name);
+
+      assert.deepEqual(templateParams.filter(name => !pathParams.includes(name)), [], `${key}: undefined path parameters`);
+      assert.ok(operation.responses[200], `${key}: no 200 response`);
+    }
+  }
+});
+
+test('every $ref resolves', () => {
+  const spec = buildOpenApiSpec();
+  const unresolved = [...new Set(collectRefs(spec))].filter(ref => resolveRef(spec, ref) === undefined);
+
+  assert.deepEqual(unresolved, []);
+});
@@ -0,0 +1,55 @@
+/**
+ * Zonal summary input tests
+ * extractAOIGeometry must turn malformed GeoJSON into an error message (a 400
+ * from POST /climate-data/zonal), never throw
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractAOIGeometry, MAX_AOI_VERTICES } from '../src/services/zonal.js';
+
+const ring = [[20, -30], [21, -30], [21, -31], [20, -30]];
+
+test('accepts polygons, features and single-feature collections', () => {
+  const polygon = { type: 'Polygon', coordinates: [ring] };
+  const multiPolygon = { type: 'MultiPolygon', coordinates: [[ring]] };
+
+  assert.deepEqual(extractAOIGeometry(polygon), { geometry: polygon });
+  assert.deepEqual(extractAOIGeometry({ type: 'Feature', geometry: multiPolygon }), { geometry: multiPolygon });
+  assert.deepEqual(
+    extractAOIGeometry({ type: 'FeatureCollection', features: [{ type: 'Feature', geometry: polygon }] }),
+    { geometry: polygon }
+  );
+});
+
+test('rejects malformed input without throwing', () => {
+  const inputs = [
+    null,
+    { type: 'FeatureCollection', features: [] },
+    { type: 'FeatureCollection', features: [null] },
+    { type: 'FeatureCollection', features: ['feature'] },
+    { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: null }] },
+    { type: 'Feature', geometry: 'Polygon' },
+    { type: 'Polygon', coordinates: 'abc' },
+    { type: 'Polygon', coordinates: { 0: ring } },
+    { type: 'MultiPolygon', coordinates: 42 },
+    { type: 'MultiPolygon', coordinates: ['abc'] },
+    { type: 'Polygon', coordinates: [] },
+    { type: 'Polygon', coordinates: [[[20, -30], [21, -30], [20, -30]]] },
+    { type: 'Polygon', coordinates: [[[200, -30], [21, -30], [21, -31], [200, -30]]] },
+    { type: 'Polygon', coordinates: [ring], crs: { properties: { name: 'EPSG:3857' } } }
+  ];
+
+  for (const input of inputs) {
+    const result = extractAOIGeometry(input);
+    assert.equal(typeof result.error, 'string', JSON.stringify(input));
+    assert.equal(result.geometry, undefined);
+  }
+});
+
+test('limits the number of vertices', () => {
+  const positions = Array.from({ length: MAX_AOI_VERTICES }, (_, index) => [20 + index / MAX_AOI_VERTICES, -30]);
+  const coordinates = [[...positions, positions[0]]];
+
+  assert.match(extractAOIGeometry({ type: 'Polygon', coordinates }).error, /Too many vertices/);
+});